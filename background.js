@@ -4,6 +4,105 @@
 
   // Keep track of which tabs are monitoring which domains for real-time updates
   const activeTabDomains = new Map();
+
+  // chrome.storage.local keys
+  const SNAPSHOTS_KEY = 'cookieSnapshots';
+  const HISTORY_KEY = 'cookieHistory';
+  const RULES_KEY = 'cookieRules';
+  const TRACKER_LIST_KEY = 'trackerList';
+  const WATCHES_KEY = 'watchedCookies';
+  const WATCH_ALERTS_KEY = 'watchAlerts';
+  const PROTECTED_KEY = 'protectedCookies';
+  const PROTECTION_LOG_KEY = 'protectionLog';
+  const TRASH_KEY = 'cookieTrash';
+
+  // Open DevTools panels, keyed by port, with the tab each one inspects
+  const devtoolsPanels = new Map();
+
+  // Cookie store each overlay is looking at, when the user picked one other than the tab's own
+  const tabStoreSelection = new Map();
+
+  // SameSite request context each overlay evaluates "sent to this URL" for
+  const tabSameSiteContext = new Map();
+
+  // Last hostname seen per tab, so we still know the site after a tab closes or navigates away
+  const tabHostnames = new Map();
+
+  // Auto-cleanup rules, loaded lazily from storage and replaced on save
+  let cookieRules = null;
+
+  // Tracker list with compiled name patterns - the user's saved list, else the bundled trackers.json
+  let trackerList = null;
+
+  // Tracker list categories that "remove tracking cookies" deletes
+  const TRACKING_CATEGORIES = ['analytics', 'advertising'];
+
+  // Oldest history entries are dropped beyond this
+  const HISTORY_LIMIT = 2000;
+
+  // Overwrites arrive as a removal followed by an add - hold the old value until the add shows up
+  const pendingOverwrites = new Map();
+
+  // History writes are read-modify-write, so chain them to avoid losing entries
+  let historyWriteQueue = Promise.resolve();
+
+  // Request tracing: per-tab log of cookies sent, withheld, set and rejected by network requests.
+  // Only tabs that switched tracing on are recorded, and only in memory.
+  const requestTraces = new Map();
+  const TRACE_LIMIT = 500;
+
+  // Set-Cookie headers waiting to be checked against the jar once their request finishes
+  const pendingSetCookies = new Map();
+
+  // Consent banner verification: per-tab recording of cookie writes before and after the consent decision.
+  // Mirrored to chrome.storage.session so a recording survives the service worker being stopped while idle.
+  const consentRecordings = new Map();
+  let consentRecordingsLoaded = null;
+  let consentWriteQueue = Promise.resolve();
+  let consentSaveTimer = null;
+  let consentSaveError = null; // Last failed write, shown in the report until a write succeeds
+
+  // Each recording keeps its first writes only - session storage holds about 10 MB for everything.
+  // Writes past the limit are counted so the report can say it's incomplete.
+  const CONSENT_EVENT_LIMIT = 1000;
+  // Cookie writes come in bursts, so recording them saves at most once per this delay
+  const CONSENT_SAVE_DELAY_MS = 1000;
+
+  // chrome.storage.session key - left at its default, trusted-contexts-only access level
+  const CONSENT_RECORDINGS_KEY = 'consentRecordings';
+
+  // Watched cookies get an alert this long before they expire
+  const EXPIRY_WARNING_LEAD_MS = 10 * 60 * 1000;
+  const EXPIRY_ALARM_PREFIX = 'cookie-expiry:';
+
+  // Most recent watched-cookie alerts kept for the popup / overlay
+  const WATCH_ALERTS_LIMIT = 50;
+
+  // Watched cookies mid-overwrite (removed, new value not yet added) - the add is reported as "changed"
+  const watchOverwrites = new Set();
+
+  // Alert writes are read-modify-write and a bulk clear raises many at once, so chain them
+  let watchAlertsQueue = Promise.resolve();
+
+  // Chrome caps cookie lifetimes at 400 days from when they're set
+  const MAX_COOKIE_LIFETIME_SECONDS = 400 * 24 * 3600;
+
+  // Protected cookies: saved copies keyed by protectionKey(), loaded lazily from storage
+  let protectedCookies = null;
+
+  // Most recent reverted changes kept in the protection log
+  const PROTECTION_LOG_LIMIT = 200;
+  let protectionLogQueue = Promise.resolve();
+
+  // A page that rewrites a cookie every time we restore it would loop forever - give up past this rate
+  const RESTORE_BURST_LIMIT = 10;
+  const RESTORE_BURST_WINDOW_MS = 10 * 1000;
+  const recentRestores = new Map();
+
+  // Recycle bin: removed cookies are kept this long, up to this many, so a clear can be undone
+  const TRASH_RETENTION_MS = 3 * 24 * 3600 * 1000;
+  const TRASH_COOKIE_LIMIT = 1000;
+  let trashWriteQueue = Promise.resolve();
   
   // Main message handler - routes messages from content scripts to appropriate handlers
   chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
@@ -31,6 +130,182 @@
             await handleRevokePermission(message, sender, sendResponse);
             break;
             
+          case 'SET_COOKIE':
+            await handleSetCookie(message, sender, sendResponse);
+            break;
+            
+          case 'DELETE_COOKIE':
+            await handleDeleteCookie(message, sender, sendResponse);
+            break;
+            
+          case 'EXPORT_COOKIES':
+            await handleExportCookies(message, sender, sendResponse);
+            break;
+            
+          case 'PREVIEW_COOKIE_IMPORT':
+            await handlePreviewImport(message, sender, sendResponse);
+            break;
+            
+          case 'IMPORT_COOKIES':
+            await handleImportCookies(message, sender, sendResponse);
+            break;
+            
+          case 'SAVE_SNAPSHOT':
+            await handleSaveSnapshot(message, sender, sendResponse);
+            break;
+            
+          case 'LIST_SNAPSHOTS':
+            await handleListSnapshots(message, sender, sendResponse);
+            break;
+            
+          case 'RESTORE_SNAPSHOT':
+            await handleRestoreSnapshot(message, sender, sendResponse);
+            break;
+            
+          case 'DIFF_SNAPSHOT':
+            await handleDiffSnapshot(message, sender, sendResponse);
+            break;
+            
+          case 'DELETE_SNAPSHOT':
+            await handleDeleteSnapshot(message, sender, sendResponse);
+            break;
+            
+          case 'GET_COOKIE_HISTORY':
+            await handleGetHistory(message, sender, sendResponse);
+            break;
+            
+          case 'CLEAR_COOKIE_HISTORY':
+            await handleClearHistory(message, sender, sendResponse);
+            break;
+            
+          case 'AUDIT_COOKIES':
+            await handleAuditCookies(message, sender, sendResponse);
+            break;
+            
+          case 'GET_RULES':
+            await handleGetRules(message, sender, sendResponse);
+            break;
+            
+          case 'SAVE_RULES':
+            await handleSaveRules(message, sender, sendResponse);
+            break;
+            
+          case 'DRY_RUN_RULES':
+            await handleDryRunRules(message, sender, sendResponse);
+            break;
+            
+          case 'LIST_COOKIE_STORES':
+            await handleListCookieStores(message, sender, sendResponse);
+            break;
+            
+          case 'COPY_COOKIES_TO_STORE':
+            await handleCopyCookiesToStore(message, sender, sendResponse);
+            break;
+            
+          case 'GET_TAB_INFO':
+            await handleGetTabInfo(message, sender, sendResponse);
+            break;
+            
+          case 'GET_COOKIE_OVERVIEW':
+            await handleCookieOverview(message, sender, sendResponse);
+            break;
+            
+          case 'GET_DOMAIN_COOKIES':
+            await handleGetDomainCookies(message, sender, sendResponse);
+            break;
+            
+          case 'DELETE_DOMAINS_COOKIES':
+            await handleDeleteDomainsCookies(message, sender, sendResponse);
+            break;
+            
+          case 'GET_TRACKER_LIST':
+            await handleGetTrackerList(message, sender, sendResponse);
+            break;
+            
+          case 'SAVE_TRACKER_LIST':
+            await handleSaveTrackerList(message, sender, sendResponse);
+            break;
+            
+          case 'REMOVE_TRACKING_COOKIES':
+            await handleRemoveTrackingCookies(message, sender, sendResponse);
+            break;
+            
+          case 'ADJUST_COOKIE_EXPIRY':
+            await handleAdjustCookieExpiry(message, sender, sendResponse);
+            break;
+            
+          case 'GET_WATCHED_COOKIES':
+            await handleGetWatchedCookies(message, sender, sendResponse);
+            break;
+            
+          case 'WATCH_COOKIE':
+            await handleWatchCookie(message, sender, sendResponse);
+            break;
+            
+          case 'ADD_COOKIE_WATCH':
+            await handleAddCookieWatch(message, sender, sendResponse);
+            break;
+            
+          case 'REMOVE_COOKIE_WATCH':
+            await handleRemoveCookieWatch(message, sender, sendResponse);
+            break;
+            
+          case 'MARK_WATCH_ALERTS_SEEN':
+            await handleMarkWatchAlertsSeen(message, sender, sendResponse);
+            break;
+            
+          case 'START_CONSENT_RECORDING':
+            await handleStartConsentRecording(message, sender, sendResponse);
+            break;
+            
+          case 'MARK_CONSENT_DECISION':
+            await handleMarkConsentDecision(message, sender, sendResponse);
+            break;
+            
+          case 'GET_CONSENT_REPORT':
+            await handleGetConsentReport(message, sender, sendResponse);
+            break;
+            
+          case 'CHECK_CONSENT_RECORDING':
+            await handleCheckConsentRecording(message, sender, sendResponse);
+            break;
+            
+          case 'STOP_CONSENT_RECORDING':
+            await handleStopConsentRecording(message, sender, sendResponse);
+            break;
+            
+          case 'START_REQUEST_TRACE':
+            await handleStartRequestTrace(message, sender, sendResponse);
+            break;
+            
+          case 'STOP_REQUEST_TRACE':
+            await handleStopRequestTrace(message, sender, sendResponse);
+            break;
+            
+          case 'GET_COOKIE_TRACE':
+            await handleGetCookieTrace(message, sender, sendResponse);
+            break;
+            
+          case 'GET_PROTECTED_COOKIES':
+            await handleGetProtectedCookies(message, sender, sendResponse);
+            break;
+            
+          case 'PROTECT_COOKIE':
+            await handleProtectCookie(message, sender, sendResponse);
+            break;
+            
+          case 'GET_TRASH':
+            await handleGetTrash(message, sender, sendResponse);
+            break;
+            
+          case 'RESTORE_FROM_TRASH':
+            await handleRestoreFromTrash(message, sender, sendResponse);
+            break;
+            
+          case 'EMPTY_TRASH':
+            await handleEmptyTrash(message, sender, sendResponse);
+            break;
+            
           default:
             console.warn('Unknown message type:', message.type);
             sendResponse({ error: 'Unknown message type' });
@@ -53,7 +328,9 @@
         // Set up cookie listener if we have permission
         await setupCookieListener();
         // Register this tab for real-time updates
-        activeTabDomains.set(sender.tab.id, message.domain);
+        if (sender.tab) {
+          activeTabDomains.set(sender.tab.id, message.domain);
+        }
       }
       
       sendResponse({
@@ -88,20 +365,22 @@
         await setupCookieListener();
         
         // Register this tab for real-time updates
-        activeTabDomains.set(sender.tab.id, message.domain);
+        if (sender.tab) {
+          activeTabDomains.set(sender.tab.id, message.domain);
+        }
         
         // Send permission granted response
-        chrome.tabs.sendMessage(sender.tab.id, { type: 'PERMISSION_GRANTED' });
+        notifySenderTab(sender, { type: 'PERMISSION_GRANTED' });
         
         sendResponse({ type: 'PERMISSION_GRANTED' });
       } else {
         console.log('Permission denied');
-        chrome.tabs.sendMessage(sender.tab.id, { type: 'PERMISSION_DENIED' });
+        notifySenderTab(sender, { type: 'PERMISSION_DENIED' });
         sendResponse({ type: 'PERMISSION_DENIED' });
       }
     } catch (error) {
       console.error('Permission request error:', error);
-      chrome.tabs.sendMessage(sender.tab.id, { 
+      notifySenderTab(sender, { 
         type: 'ERROR', 
         message: 'Failed to request permission' 
       });
@@ -118,14 +397,18 @@
       if (!hasPermission) {
         console.log('No cookie permission, sending error');
         const errorMsg = { type: 'ERROR', message: 'Cookie permission not granted' };
-        chrome.tabs.sendMessage(sender.tab.id, errorMsg);
+        notifySenderTab(sender, errorMsg);
         sendResponse(errorMsg);
         return;
       }
 
       const domain = extractDomain(message.url || message.domain);
-      console.log('Fetching cookies for domain:', domain);
-      const cookies = await getAllRelevantCookies(domain);
+      console.log('Fetching cookies for domain:', domain, 'store:', message.storeId || 'default');
+      const cookies = await getScopedCookies(domain, message.url, message.storeId, message.sameSiteContext);
+      if (sender.tab) {
+        tabStoreSelection.set(sender.tab.id, message.storeId);
+        tabSameSiteContext.set(sender.tab.id, message.sameSiteContext);
+      }
       console.log('Found cookies:', cookies.length);
       
       const response = {
@@ -135,13 +418,13 @@
       };
       
       // Send via both methods to ensure delivery
-      chrome.tabs.sendMessage(sender.tab.id, response);
+      notifySenderTab(sender, response);
       sendResponse(response);
       
     } catch (error) {
       console.error('Fetch cookies error:', error);
       const errorMsg = { type: 'ERROR', message: 'Failed to fetch cookies' };
-      chrome.tabs.sendMessage(sender.tab.id, errorMsg);
+      notifySenderTab(sender, errorMsg);
       sendResponse(errorMsg);
     }
   }
@@ -155,195 +438,2992 @@
       if (!hasPermission) {
         console.log('No cookie permission for clearing');
         const errorMsg = { type: 'ERROR', message: 'Cookie permission not granted' };
-        chrome.tabs.sendMessage(sender.tab.id, errorMsg);
+        notifySenderTab(sender, errorMsg);
         sendResponse(errorMsg);
         return;
       }
 
       const domain = extractDomain(message.url || message.domain);
-      console.log('Clearing cookies for domain:', domain);
-      const cookies = await getCookiesForDomain(domain);
-      console.log('Found cookies to clear:', cookies.length);
+      const scope = CLEAR_SCOPES[message.scope] ? message.scope : 'relevant';
+      console.log('Clearing cookies for domain:', domain, 'scope:', scope);
+      const cookies = scopeCookies(await getAllRelevantCookies(domain, message.storeId), message.url || `https://${domain}/`, message.sameSiteContext)
+        .filter(cookie => CLEAR_SCOPES[scope](cookie, domain));
+      const protectedSet = await getProtectedCookies();
+      const kept = cookies.filter(cookie => protectedSet.has(protectionKey(cookie)));
+      const toRemove = cookies.filter(cookie => !protectedSet.has(protectionKey(cookie)));
+      console.log('Found cookies to clear:', toRemove.length, 'keeping', kept.length, 'protected');
       
-      // Remove each cookie
-      const removePromises = cookies.map(cookie => {
-        const url = constructCookieUrl(cookie);
-        console.log('Removing cookie:', cookie.name, 'from URL:', url);
-        return new Promise(resolve => {
-          chrome.cookies.remove({
-            url: url,
-            name: cookie.name,
-            storeId: cookie.storeId
-          }, (result) => {
-            console.log('Cookie removal result for', cookie.name, ':', result);
-            resolve(result);
-          });
-        });
-      });
-
-      await Promise.all(removePromises);
+      // Remove each cookie, keeping copies in the trash so the clear can be undone
+      const batch = createTrashBatch(`Cleared ${domain} (${scope})`);
+      await Promise.all(toRemove.map(cookie => removeCookie(cookie, batch)));
+      await saveTrashBatch(batch);
       console.log('All cookies cleared successfully');
       
-      const response = { type: 'COOKIES_CLEARED', domain: domain };
+      const response = {
+        type: 'COOKIES_CLEARED',
+        domain: domain,
+        scope: scope,
+        removed: batch.cookies.length,
+        protected: kept.length,
+        trashBatchId: batch.cookies.length > 0 ? batch.id : null
+      };
       
       // Send via both methods to ensure delivery
-      chrome.tabs.sendMessage(sender.tab.id, response);
+      notifySenderTab(sender, response);
       sendResponse(response);
       
     } catch (error) {
       console.error('Clear cookies error:', error);
       const errorMsg = { type: 'ERROR', message: 'Failed to clear cookies' };
-      chrome.tabs.sendMessage(sender.tab.id, errorMsg);
+      notifySenderTab(sender, errorMsg);
       sendResponse(errorMsg);
     }
   }
 
-  // Revoke cookie permission
-  async function handleRevokePermission(message, sender, sendResponse) {
+  // Create a new cookie or update an existing one from the overlay editor
+  async function handleSetCookie(message, sender, sendResponse) {
     try {
-      const removed = await new Promise(resolve => {
-        chrome.permissions.remove({ permissions: ['cookies'] }, resolve);
-      });
-
-      if (removed) {
-        // Remove cookie listener when permission is revoked
-        try {
-          if (chrome.cookies && chrome.cookies.onChanged && chrome.cookies.onChanged.hasListener(handleCookieChange)) {
-            chrome.cookies.onChanged.removeListener(handleCookieChange);
-            console.log('Cookie change listener removed');
-          }
-        } catch (error) {
-          console.log('Cookie listener cleanup error (expected):', error.message);
-        }
-        
-        // Clear all active tab registrations
-        activeTabDomains.clear();
-        
-        sendResponse({ type: 'PERMISSION_REVOKED' });
-      } else {
-        sendResponse({ type: 'ERROR', message: 'Failed to revoke permission' });
+      const hasPermission = await checkCookiePermission();
+      if (!hasPermission) {
+        sendResponse({ type: 'ERROR', message: 'Cookie permission not granted' });
+        return;
       }
-    } catch (error) {
-      console.error('Revoke permission error:', error);
-      sendResponse({ type: 'ERROR', message: 'Failed to revoke permission' });
-    }
-  }
 
-  // Helper function to check if we have cookie permission
-  async function checkCookiePermission() {
-    return new Promise(resolve => {
-      chrome.permissions.contains({ permissions: ['cookies'] }, resolve);
-    });
-  }
+      const pageDomain = extractDomain(message.url || message.domain);
+      if (message.original && (await getProtectedCookies()).has(protectionKey(message.original))) {
+        sendResponse({ type: 'COOKIE_VALIDATION_ERROR', errors: ['This cookie is protected - unprotect it before editing'] });
+        return;
+      }
 
-  // Helper function to get cookies for a domain
-  // Get cookies for domain and all parent domains
-async function getAllRelevantCookies(domain) {
-  const domainParts = domain.split('.');
-  const domainsToCheck = [];
+      const errors = validateCookieInput(message.cookie, pageDomain);
+      if (errors.length > 0) {
+        console.log('Cookie validation failed:', errors);
+        sendResponse({ type: 'COOKIE_VALIDATION_ERROR', errors: errors });
+        return;
+      }
 
-  for (let i = 0; i <= domainParts.length - 2; i++) {
-    domainsToCheck.push(domainParts.slice(i).join('.'));
-  }
+      const saved = await setCookie(buildCookieDetails(message.cookie, pageDomain));
+      console.log('Cookie saved:', saved.name, saved.domain, saved.path);
 
-  const allCookies = [];
+      // Renaming or moving a cookie creates a new one, so the original has to go - into the trash like any removal
+      const original = message.original;
+      if (original && !isSameCookie(original, saved)) {
+        const batch = createTrashBatch(`Renamed ${original.name} to ${saved.name}`);
+        await removeCookie(original, batch);
+        await saveTrashBatch(batch);
+      }
 
-  for (const d of domainsToCheck) {
-    const cookies = await new Promise(resolve => {
-      chrome.cookies.getAll({ domain: d }, resolve);
-    });
-    allCookies.push(...cookies);
+      sendResponse({ type: 'COOKIE_SAVED', cookie: saved });
+    } catch (error) {
+      console.error('Set cookie error:', error);
+      sendResponse({ type: 'COOKIE_VALIDATION_ERROR', errors: [error.message] });
+    }
   }
 
-  // Deduplicate cookies by name + domain + path
-  const unique = {};
-  allCookies.forEach(c => {
-    unique[c.name + '|' + c.domain + '|' + c.path] = c;
-  });
-
-  return Object.values(unique);
-}
+  // Delete a single cookie
+  async function handleDeleteCookie(message, sender, sendResponse) {
+    try {
+      const hasPermission = await checkCookiePermission();
+      if (!hasPermission) {
+        sendResponse({ type: 'ERROR', message: 'Cookie permission not granted' });
+        return;
+      }
 
+      if ((await getProtectedCookies()).has(protectionKey(message.cookie))) {
+        sendResponse({ type: 'ERROR', message: `Cookie ${message.cookie.name} is protected - unprotect it before deleting` });
+        return;
+      }
 
-  // Helper function to extract domain from URL
-  function extractDomain(url) {
-    try {
-      if (url.startsWith('http')) {
-        return new URL(url).hostname;
+      const batch = createTrashBatch(`Deleted ${message.cookie.name}`);
+      const result = await removeCookie(message.cookie, batch);
+      if (!result) {
+        sendResponse({ type: 'ERROR', message: `Failed to delete cookie ${message.cookie.name}` });
+        return;
       }
-      return url; // Assume it's already a domain
+      await saveTrashBatch(batch);
+
+      sendResponse({ type: 'COOKIE_DELETED', cookie: message.cookie, trashBatchId: batch.id });
     } catch (error) {
-      console.error('Invalid URL:', url);
-      return url;
+      console.error('Delete cookie error:', error);
+      sendResponse({ type: 'ERROR', message: 'Failed to delete cookie' });
     }
   }
 
-  // Helper function to construct proper cookie URL
-  function constructCookieUrl(cookie) {
-    const protocol = cookie.secure ? 'https://' : 'http://';
-    const domain = cookie.domain.startsWith('.') ? cookie.domain.slice(1) : cookie.domain;
-    return protocol + domain + cookie.path;
-  }
-
-  // Real-time cookie change monitoring - only set up if permission exists
-  async function setupCookieListener() {
+  // Serialize the domain's cookies into a downloadable format
+  async function handleExportCookies(message, sender, sendResponse) {
     try {
       const hasPermission = await checkCookiePermission();
-      if (hasPermission && chrome.cookies && chrome.cookies.onChanged) {
-        // Remove existing listener to prevent duplicates
-        if (chrome.cookies.onChanged.hasListener(handleCookieChange)) {
-          chrome.cookies.onChanged.removeListener(handleCookieChange);
-        }
-        chrome.cookies.onChanged.addListener(handleCookieChange);
-        console.log('Cookie change listener set up');
+      if (!hasPermission) {
+        sendResponse({ type: 'ERROR', message: 'Cookie permission not granted' });
+        return;
+      }
+
+      const domain = extractDomain(message.url || message.domain);
+      const cookies = await getAllRelevantCookies(domain, message.storeId);
+      const exporter = COOKIE_EXPORTERS[message.format];
+
+      if (!exporter) {
+        sendResponse({ type: 'ERROR', message: `Unknown export format: ${message.format}` });
+        return;
       }
+
+      console.log('Exporting', cookies.length, 'cookies as', message.format);
+      sendResponse({
+        type: 'COOKIES_EXPORTED',
+        format: message.format,
+        content: exporter.serialize(cookies, message.url),
+        filename: `cookies-${domain}.${exporter.extension}`,
+        mimeType: exporter.mimeType
+      });
     } catch (error) {
-      console.error('Failed to setup cookie listener:', error);
+      console.error('Export cookies error:', error);
+      sendResponse({ type: 'ERROR', message: 'Failed to export cookies' });
     }
   }
 
-  // Handle cookie changes
-  async function handleCookieChange(changeInfo) {
+  // Parse an import file and work out what would happen to each cookie without writing anything
+  async function handlePreviewImport(message, sender, sendResponse) {
     try {
       const hasPermission = await checkCookiePermission();
-      if (!hasPermission) return;
+      if (!hasPermission) {
+        sendResponse({ type: 'ERROR', message: 'Cookie permission not granted' });
+        return;
+      }
 
-      const cookie = changeInfo.cookie;
-      const cookieDomain = cookie.domain.replace(/^\./, '');
+      let parsed;
+      try {
+        parsed = parseCookieImport(message.text || '');
+      } catch (error) {
+        sendResponse({ type: 'ERROR', message: `Could not parse import: ${error.message}` });
+        return;
+      }
 
-      // Notify all relevant tabs about cookie changes
-      for (const [tabId, domain] of activeTabDomains.entries()) {
-        if (domain === cookieDomain || cookieDomain.includes(domain) || domain.includes(cookieDomain)) {
-          try {
-            const updatedCookies = await getAllRelevantCookies(domain);
+      const pageDomain = extractDomain(message.url || message.domain);
+      const isHttps = (message.url || '').startsWith('https:');
+      const existing = await getAllRelevantCookies(pageDomain, message.storeId);
 
-            chrome.tabs.sendMessage(tabId, {
-              type: 'REAL_TIME_COOKIE_UPDATE',
-              cookies: updatedCookies,
-              domain: domain,
-              changeInfo: {
-                cause: changeInfo.cause,
-                removed: changeInfo.removed
-              }
-            }).catch(error => {
-              // Tab might be closed, remove from active domains
-              console.log('Tab closed, removing from active domains:', tabId);
-              activeTabDomains.delete(tabId);
-            });
-          } catch (error) {
-            console.error('Error sending real-time update:', error);
-            activeTabDomains.delete(tabId);
-          }
+      const entries = parsed.map(cookie => {
+        const reasons = validateCookieInput(cookie, pageDomain);
+        if (cookie.secure && !isHttps) {
+          reasons.push('Secure cookie cannot be used on an http page');
         }
-      }
+
+        const cookieDomain = cookie.hostOnly ? pageDomain : cookie.domain.replace(/^\./, '');
+        const overwrites = existing.some(c =>
+          c.name === cookie.name &&
+          c.path === cookie.path &&
+          c.domain.replace(/^\./, '') === cookieDomain &&
+          !!c.hostOnly === !!cookie.hostOnly &&
+          partitionSite(c) === partitionSite(cookie)
+        );
+
+        return {
+          cookie: cookie,
+          status: reasons.length > 0 ? 'reject' : (overwrites ? 'overwrite' : 'create'),
+          reasons: reasons
+        };
+      });
+
+      console.log('Import preview:', entries.length, 'cookies');
+      sendResponse({ type: 'COOKIE_IMPORT_PREVIEW', entries: entries });
     } catch (error) {
-      console.error('Cookie change listener error:', error);
+      console.error('Import preview error:', error);
+      sendResponse({ type: 'ERROR', message: 'Failed to preview import' });
     }
   }
 
-  // Clean up when tabs are closed
+  // Write previewed cookies - everything is validated again, the preview is only advisory
+  async function handleImportCookies(message, sender, sendResponse) {
+    try {
+      const hasPermission = await checkCookiePermission();
+      if (!hasPermission) {
+        sendResponse({ type: 'ERROR', message: 'Cookie permission not granted' });
+        return;
+      }
+
+      const pageDomain = extractDomain(message.url || message.domain);
+      const imported = [];
+      const failed = [];
+
+      for (const cookie of message.cookies || []) {
+        const errors = validateCookieInput(cookie, pageDomain);
+        if (errors.length > 0) {
+          failed.push({ name: cookie.name, errors: errors });
+          continue;
+        }
+
+        try {
+          imported.push(await setCookie(buildCookieDetails({ ...cookie, storeId: message.storeId }, pageDomain)));
+        } catch (error) {
+          failed.push({ name: cookie.name, errors: [error.message] });
+        }
+      }
+
+      console.log('Imported', imported.length, 'cookies,', failed.length, 'failed');
+      sendResponse({ type: 'COOKIES_IMPORTED', imported: imported.length, failed: failed });
+    } catch (error) {
+      console.error('Import cookies error:', error);
+      sendResponse({ type: 'ERROR', message: 'Failed to import cookies' });
+    }
+  }
+
+  // Save the domain's current cookie jar under a user-chosen name
+  async function handleSaveSnapshot(message, sender, sendResponse) {
+    try {
+      const hasPermission = await checkCookiePermission();
+      if (!hasPermission) {
+        sendResponse({ type: 'ERROR', message: 'Cookie permission not granted' });
+        return;
+      }
+
+      const name = (message.name || '').trim();
+      if (!name) {
+        sendResponse({ type: 'ERROR', message: 'Snapshot name is required' });
+        return;
+      }
+
+      const domain = extractDomain(message.url || message.domain);
+      const cookies = await getAllRelevantCookies(domain, message.storeId);
+      const snapshots = await storageGet(SNAPSHOTS_KEY, {});
+
+      snapshots[domain] = snapshots[domain] || {};
+      snapshots[domain][name] = {
+        name: name,
+        createdAt: Date.now(),
+        cookies: cookies
+      };
+      await storageSet(SNAPSHOTS_KEY, snapshots);
+
+      console.log('Saved snapshot', name, 'with', cookies.length, 'cookies for', domain);
+      sendResponse({ type: 'SNAPSHOT_SAVED', name: name, count: cookies.length });
+    } catch (error) {
+      console.error('Save snapshot error:', error);
+      sendResponse({ type: 'ERROR', message: 'Failed to save snapshot' });
+    }
+  }
+
+  // List snapshots for a domain without shipping every cookie value to the page
+  async function handleListSnapshots(message, sender, sendResponse) {
+    try {
+      const domain = extractDomain(message.url || message.domain);
+      const snapshots = await storageGet(SNAPSHOTS_KEY, {});
+
+      const list = Object.values(snapshots[domain] || {})
+        .map(snapshot => ({
+          name: snapshot.name,
+          createdAt: snapshot.createdAt,
+          count: snapshot.cookies.length
+        }))
+        .sort((a, b) => b.createdAt - a.createdAt);
+
+      sendResponse({ type: 'SNAPSHOT_LIST', snapshots: list });
+    } catch (error) {
+      console.error('List snapshots error:', error);
+      sendResponse({ type: 'ERROR', message: 'Failed to list snapshots' });
+    }
+  }
+
+  // Swap the live jar for a saved one: clear everything, then set the snapshot's cookies
+  async function handleRestoreSnapshot(message, sender, sendResponse) {
+    try {
+      const hasPermission = await checkCookiePermission();
+      if (!hasPermission) {
+        sendResponse({ type: 'ERROR', message: 'Cookie permission not granted' });
+        return;
+      }
+
+      const domain = extractDomain(message.url || message.domain);
+      const snapshot = await getSnapshot(domain, message.name);
+      if (!snapshot) {
+        sendResponse({ type: 'ERROR', message: `Snapshot ${message.name} not found` });
+        return;
+      }
+
+      const current = await getAllRelevantCookies(domain, message.storeId);
+      const batch = createTrashBatch(`Replaced by snapshot ${snapshot.name} on ${domain}`);
+      await Promise.all(current.map(cookie => removeCookie(cookie, batch)));
+      await saveTrashBatch(batch);
+
+      const now = Date.now() / 1000;
+      const skipped = [];
+      let restored = 0;
+
+      for (const cookie of snapshot.cookies) {
+        if (cookie.expirationDate && cookie.expirationDate <= now) {
+          skipped.push({ name: cookie.name, reason: 'expired since the snapshot was taken' });
+          continue;
+        }
+        try {
+          // Restore into the store being viewed, which may differ from where the snapshot was taken
+          await setCookie({ ...cookieToDetails(cookie), storeId: message.storeId || cookie.storeId });
+          restored++;
+        } catch (error) {
+          skipped.push({ name: cookie.name, reason: error.message });
+        }
+      }
+
+      console.log('Restored snapshot', snapshot.name, ':', restored, 'restored,', skipped.length, 'skipped');
+      sendResponse({ type: 'SNAPSHOT_RESTORED', name: snapshot.name, restored: restored, skipped: skipped });
+    } catch (error) {
+      console.error('Restore snapshot error:', error);
+      sendResponse({ type: 'ERROR', message: 'Failed to restore snapshot' });
+    }
+  }
+
+  // Compare a snapshot against the live jar
+  async function handleDiffSnapshot(message, sender, sendResponse) {
+    try {
+      const hasPermission = await checkCookiePermission();
+      if (!hasPermission) {
+        sendResponse({ type: 'ERROR', message: 'Cookie permission not granted' });
+        return;
+      }
+
+      const domain = extractDomain(message.url || message.domain);
+      const snapshot = await getSnapshot(domain, message.name);
+      if (!snapshot) {
+        sendResponse({ type: 'ERROR', message: `Snapshot ${message.name} not found` });
+        return;
+      }
+
+      const live = await getAllRelevantCookies(domain, message.storeId);
+      sendResponse({ type: 'SNAPSHOT_DIFF', name: snapshot.name, diff: diffCookieSets(snapshot.cookies, live) });
+    } catch (error) {
+      console.error('Diff snapshot error:', error);
+      sendResponse({ type: 'ERROR', message: 'Failed to diff snapshot' });
+    }
+  }
+
+  async function handleDeleteSnapshot(message, sender, sendResponse) {
+    try {
+      const domain = extractDomain(message.url || message.domain);
+      const snapshots = await storageGet(SNAPSHOTS_KEY, {});
+
+      if (snapshots[domain]) {
+        delete snapshots[domain][message.name];
+        if (Object.keys(snapshots[domain]).length === 0) {
+          delete snapshots[domain];
+        }
+        await storageSet(SNAPSHOTS_KEY, snapshots);
+      }
+
+      sendResponse({ type: 'SNAPSHOT_DELETED', name: message.name });
+    } catch (error) {
+      console.error('Delete snapshot error:', error);
+      sendResponse({ type: 'ERROR', message: 'Failed to delete snapshot' });
+    }
+  }
+
+  // Change timeline for a domain, newest first
+  async function handleGetHistory(message, sender, sendResponse) {
+    try {
+      const domain = extractDomain(message.url || message.domain);
+      const history = await storageGet(HISTORY_KEY, []);
+      const entries = history
+        .filter(entry => isDomainRelated(domain, entry.domain.replace(/^\./, '')))
+        .reverse();
+
+      sendResponse({ type: 'COOKIE_HISTORY', entries: entries });
+    } catch (error) {
+      console.error('Get history error:', error);
+      sendResponse({ type: 'ERROR', message: 'Failed to load cookie history' });
+    }
+  }
+
+  async function handleClearHistory(message, sender, sendResponse) {
+    try {
+      const domain = extractDomain(message.url || message.domain);
+      historyWriteQueue = historyWriteQueue.then(async () => {
+        const history = await storageGet(HISTORY_KEY, []);
+        await storageSet(HISTORY_KEY, history.filter(entry => !isDomainRelated(domain, entry.domain.replace(/^\./, ''))));
+      });
+      await historyWriteQueue;
+
+      sendResponse({ type: 'COOKIE_HISTORY_CLEARED', domain: domain });
+    } catch (error) {
+      console.error('Clear history error:', error);
+      sendResponse({ type: 'ERROR', message: 'Failed to clear cookie history' });
+    }
+  }
+
+  // Run every audit rule over the domain's cookies and score the result
+  async function handleAuditCookies(message, sender, sendResponse) {
+    try {
+      const hasPermission = await checkCookiePermission();
+      if (!hasPermission) {
+        sendResponse({ type: 'ERROR', message: 'Cookie permission not granted' });
+        return;
+      }
+
+      const domain = extractDomain(message.url || message.domain);
+      const cookies = await getAllRelevantCookies(domain, message.storeId);
+      const context = {
+        domain: domain,
+        isHttps: (message.url || '').startsWith('https:'),
+        now: Date.now() / 1000
+      };
+
+      const report = auditCookies(cookies, context);
+      console.log('Audit found', report.findings.length, 'issues, score', report.score);
+      sendResponse({ type: 'AUDIT_RESULT', cookieCount: cookies.length, ...report });
+    } catch (error) {
+      console.error('Audit cookies error:', error);
+      sendResponse({ type: 'ERROR', message: 'Failed to audit cookies' });
+    }
+  }
+
+  async function handleGetRules(message, sender, sendResponse) {
+    try {
+      sendResponse({ type: 'RULES', rules: await getCookieRules() });
+    } catch (error) {
+      console.error('Get rules error:', error);
+      sendResponse({ type: 'ERROR', message: 'Failed to load rules' });
+    }
+  }
+
+  async function handleSaveRules(message, sender, sendResponse) {
+    try {
+      const errors = validateRules(message.rules);
+      if (errors.length > 0) {
+        sendResponse({ type: 'RULES_VALIDATION_ERROR', errors: errors });
+        return;
+      }
+
+      cookieRules = message.rules.map(normalizeRule);
+      await storageSet(RULES_KEY, cookieRules);
+      console.log('Saved', cookieRules.length, 'cookie rules');
+
+      sendResponse({ type: 'RULES_SAVED', rules: cookieRules });
+    } catch (error) {
+      console.error('Save rules error:', error);
+      sendResponse({ type: 'ERROR', message: 'Failed to save rules' });
+    }
+  }
+
+  // Show what a rule set (saved or still being edited) would delete from the current jar
+  async function handleDryRunRules(message, sender, sendResponse) {
+    try {
+      const hasPermission = await checkCookiePermission();
+      if (!hasPermission) {
+        sendResponse({ type: 'ERROR', message: 'Cookie permission not granted' });
+        return;
+      }
+
+      const rules = message.rules ? message.rules.map(normalizeRule) : await getCookieRules();
+      const errors = validateRules(rules);
+      if (errors.length > 0) {
+        sendResponse({ type: 'RULES_VALIDATION_ERROR', errors: errors });
+        return;
+      }
+
+      const cookies = await getAllCookies({});
+      const onSet = [];
+      const onClose = [];
+
+      cookies.forEach(cookie => {
+        const summary = { name: cookie.name, domain: cookie.domain, path: cookie.path };
+        const setDecision = evaluateRules(cookie, rules, 'set');
+        if (setDecision.remove) {
+          onSet.push({ cookie: summary, rule: setDecision.rule });
+          return;
+        }
+        const closeDecision = evaluateRules(cookie, rules, 'close');
+        if (closeDecision.remove) {
+          onClose.push({ cookie: summary, rule: closeDecision.rule });
+        }
+      });
+
+      sendResponse({ type: 'RULES_DRY_RUN', removeNow: onSet, removeOnClose: onClose, total: cookies.length });
+    } catch (error) {
+      console.error('Dry run rules error:', error);
+      sendResponse({ type: 'ERROR', message: 'Failed to preview rules' });
+    }
+  }
+
+  // Every cookie store the browser exposes (regular, incognito, containers) and which one this tab uses
+  async function handleListCookieStores(message, sender, sendResponse) {
+    try {
+      const hasPermission = await checkCookiePermission();
+      if (!hasPermission) {
+        sendResponse({ type: 'ERROR', message: 'Cookie permission not granted' });
+        return;
+      }
+
+      const stores = await new Promise(resolve => chrome.cookies.getAllCookieStores(resolve));
+      const tabId = sender.tab ? sender.tab.id : message.tabId;
+      const tabStore = stores.find(store => store.tabIds.includes(tabId));
+
+      sendResponse({
+        type: 'COOKIE_STORES',
+        stores: stores.map(store => ({
+          id: store.id,
+          label: describeCookieStore(store.id),
+          tabCount: store.tabIds.length
+        })),
+        currentStoreId: tabStore ? tabStore.id : (stores[0] ? stores[0].id : null),
+        incognitoAllowed: await new Promise(resolve => chrome.extension.isAllowedIncognitoAccess(resolve))
+      });
+    } catch (error) {
+      console.error('List cookie stores error:', error);
+      sendResponse({ type: 'ERROR', message: 'Failed to list cookie stores' });
+    }
+  }
+
+  // Copy cookies into another store, e.g. a logged-in session from the regular jar into incognito
+  async function handleCopyCookiesToStore(message, sender, sendResponse) {
+    try {
+      const hasPermission = await checkCookiePermission();
+      if (!hasPermission) {
+        sendResponse({ type: 'ERROR', message: 'Cookie permission not granted' });
+        return;
+      }
+
+      if (!message.targetStoreId) {
+        sendResponse({ type: 'ERROR', message: 'Target cookie store is required' });
+        return;
+      }
+
+      let copied = 0;
+      const failed = [];
+      for (const cookie of message.cookies || []) {
+        try {
+          await setCookie({ ...cookieToDetails(cookie), storeId: message.targetStoreId });
+          copied++;
+        } catch (error) {
+          failed.push({ name: cookie.name, errors: [error.message] });
+        }
+      }
+
+      console.log('Copied', copied, 'cookies to store', message.targetStoreId);
+      sendResponse({ type: 'COOKIES_COPIED', copied: copied, failed: failed, targetStoreId: message.targetStoreId });
+    } catch (error) {
+      console.error('Copy cookies error:', error);
+      sendResponse({ type: 'ERROR', message: 'Failed to copy cookies' });
+    }
+  }
+
+  // URL of the tab a DevTools panel is inspecting - the panel itself can't use chrome.tabs
+  async function handleGetTabInfo(message, sender, sendResponse) {
+    try {
+      const tab = await chrome.tabs.get(message.tabId);
+      sendResponse({
+        type: 'TAB_INFO',
+        tabId: tab.id,
+        url: tab.url,
+        domain: tab.url ? extractDomain(tab.url) : null,
+        hasPermission: await checkCookiePermission()
+      });
+    } catch (error) {
+      console.error('Get tab info error:', error);
+      sendResponse({ type: 'ERROR', message: 'Failed to read the inspected tab' });
+    }
+  }
+
+  // Per-domain totals for the whole jar, for the popup dashboard
+  async function handleCookieOverview(message, sender, sendResponse) {
+    try {
+      const hasPermission = await checkCookiePermission();
+      if (!hasPermission) {
+        sendResponse({ type: 'ERROR', message: 'Cookie permission not granted' });
+        return;
+      }
+
+      const cookies = await getAllCookies(message.storeId ? { storeId: message.storeId } : {});
+      const openSites = Array.from(tabHostnames.values()).filter(Boolean);
+      const domains = summarizeCookieDomains(cookies, openSites);
+
+      console.log('Cookie overview:', cookies.length, 'cookies across', domains.length, 'domains');
+      sendResponse({ type: 'COOKIE_OVERVIEW', domains: domains, total: cookies.length });
+    } catch (error) {
+      console.error('Cookie overview error:', error);
+      sendResponse({ type: 'ERROR', message: 'Failed to build cookie overview' });
+    }
+  }
+
+  // Cookies stored under exactly one domain (drill-down from the dashboard)
+  async function handleGetDomainCookies(message, sender, sendResponse) {
+    try {
+      const hasPermission = await checkCookiePermission();
+      if (!hasPermission) {
+        sendResponse({ type: 'ERROR', message: 'Cookie permission not granted' });
+        return;
+      }
+
+      const cookies = await getCookiesStoredUnder(message.domain, message.storeId);
+      sendResponse({ type: 'DOMAIN_COOKIES', domain: message.domain, cookies: cookies });
+    } catch (error) {
+      console.error('Get domain cookies error:', error);
+      sendResponse({ type: 'ERROR', message: 'Failed to load cookies for domain' });
+    }
+  }
+
+  // Bulk delete every cookie stored under the selected domains
+  async function handleDeleteDomainsCookies(message, sender, sendResponse) {
+    try {
+      const hasPermission = await checkCookiePermission();
+      if (!hasPermission) {
+        sendResponse({ type: 'ERROR', message: 'Cookie permission not granted' });
+        return;
+      }
+
+      let removed = 0;
+      const failed = [];
+      const domains = message.domains || [];
+      const batch = createTrashBatch(domains.length === 1 ? `Deleted ${domains[0]}` : `Deleted ${domains.length} domains`);
+      for (const domain of domains) {
+        const cookies = await getCookiesStoredUnder(domain, message.storeId);
+        for (const cookie of cookies) {
+          if (await removeCookie(cookie, batch)) {
+            removed++;
+          } else {
+            failed.push({ name: cookie.name, domain: cookie.domain });
+          }
+        }
+      }
+      await saveTrashBatch(batch);
+
+      console.log('Bulk deleted', removed, 'cookies from', (message.domains || []).length, 'domains');
+      sendResponse({ type: 'DOMAINS_COOKIES_DELETED', removed: removed, failed: failed });
+    } catch (error) {
+      console.error('Bulk delete error:', error);
+      sendResponse({ type: 'ERROR', message: 'Failed to delete cookies' });
+    }
+  }
+
+  // Which tracker list is in use, for the overlay's classification panel
+  async function handleGetTrackerList(message, sender, sendResponse) {
+    try {
+      const list = await getTrackerList();
+      sendResponse({
+        type: 'TRACKER_LIST',
+        source: list.source,
+        version: list.version,
+        patternCount: list.cookies.length,
+        domainCount: list.domains.length
+      });
+    } catch (error) {
+      console.error('Get tracker list error:', error);
+      sendResponse({ type: 'ERROR', message: 'Failed to load tracker list' });
+    }
+  }
+
+  // Replace the bundled tracker list with the user's own, or go back to the bundled one (list: null)
+  async function handleSaveTrackerList(message, sender, sendResponse) {
+    try {
+      if (message.list) {
+        const errors = validateTrackerList(message.list);
+        if (errors.length > 0) {
+          sendResponse({ type: 'TRACKER_LIST_VALIDATION_ERROR', errors: errors });
+          return;
+        }
+        await storageSet(TRACKER_LIST_KEY, message.list);
+      } else {
+        await new Promise(resolve => chrome.storage.local.remove(TRACKER_LIST_KEY, resolve));
+      }
+
+      trackerList = null;
+      const list = await getTrackerList();
+      console.log('Tracker list now', list.source, list.version);
+      sendResponse({ type: 'TRACKER_LIST_SAVED', source: list.source, version: list.version });
+    } catch (error) {
+      console.error('Save tracker list error:', error);
+      sendResponse({ type: 'ERROR', message: 'Failed to save tracker list' });
+    }
+  }
+
+  // One-click removal of every analytics / advertising cookie visible to the page
+  async function handleRemoveTrackingCookies(message, sender, sendResponse) {
+    try {
+      const hasPermission = await checkCookiePermission();
+      if (!hasPermission) {
+        sendResponse({ type: 'ERROR', message: 'Cookie permission not granted' });
+        return;
+      }
+
+      const domain = extractDomain(message.url || message.domain);
+      const cookies = await decorateCookies(await getAllRelevantCookies(domain, message.storeId), domain);
+      const tracking = cookies.filter(cookie => TRACKING_CATEGORIES.includes(cookie.classification.category));
+
+      let removed = 0;
+      const failed = [];
+      const batch = createTrashBatch(`Removed tracking cookies on ${domain}`);
+      for (const cookie of tracking) {
+        if (await removeCookie(cookie, batch)) {
+          removed++;
+        } else {
+          failed.push({ name: cookie.name, domain: cookie.domain });
+        }
+      }
+      await saveTrashBatch(batch);
+
+      console.log('Removed', removed, 'tracking cookies for', domain);
+      sendResponse({
+        type: 'TRACKING_COOKIES_REMOVED',
+        removed: removed,
+        failed: failed,
+        trashBatchId: batch.cookies.length > 0 ? batch.id : null
+      });
+    } catch (error) {
+      console.error('Remove tracking cookies error:', error);
+      sendResponse({ type: 'ERROR', message: 'Failed to remove tracking cookies' });
+    }
+  }
+
+  // Extend / shorten expiry, or convert between session and persistent, for one or many cookies.
+  // action: { type: 'extend' | 'shorten' | 'persistent', seconds } or { type: 'session' }
+  async function handleAdjustCookieExpiry(message, sender, sendResponse) {
+    try {
+      const hasPermission = await checkCookiePermission();
+      if (!hasPermission) {
+        sendResponse({ type: 'ERROR', message: 'Cookie permission not granted' });
+        return;
+      }
+
+      const action = message.action || {};
+      if (!['extend', 'shorten', 'persistent', 'session'].includes(action.type) ||
+          (action.type !== 'session' && !(action.seconds > 0))) {
+        sendResponse({ type: 'ERROR', message: 'Invalid expiry action' });
+        return;
+      }
+
+      const protectedSet = await getProtectedCookies();
+      let updated = 0;
+      const failed = [];
+      for (const cookie of message.cookies || []) {
+        if (protectedSet.has(protectionKey(cookie))) {
+          failed.push({ name: cookie.name, errors: ['Protected'] });
+          continue;
+        }
+
+        const expirationDate = computeAdjustedExpiry(cookie, action);
+        if (expirationDate instanceof Error) {
+          failed.push({ name: cookie.name, errors: [expirationDate.message] });
+          continue;
+        }
+
+        const details = cookieToDetails(cookie);
+        delete details.expirationDate;
+        if (expirationDate !== null) {
+          details.expirationDate = expirationDate;
+        }
+
+        try {
+          await setCookie(details);
+          updated++;
+        } catch (error) {
+          failed.push({ name: cookie.name, errors: [error.message] });
+        }
+      }
+
+      console.log('Adjusted expiry of', updated, 'cookies with', action.type);
+      sendResponse({ type: 'COOKIES_EXPIRY_ADJUSTED', updated: updated, failed: failed });
+    } catch (error) {
+      console.error('Adjust expiry error:', error);
+      sendResponse({ type: 'ERROR', message: 'Failed to change cookie expiry' });
+    }
+  }
+
+  async function handleGetWatchedCookies(message, sender, sendResponse) {
+    try {
+      sendResponse(await watchedCookiesResponse());
+    } catch (error) {
+      console.error('Get watched cookies error:', error);
+      sendResponse({ type: 'ERROR', message: 'Failed to load watched cookies' });
+    }
+  }
+
+  // Start or stop watching one exact cookie (from the Watch button on a cookie row)
+  async function handleWatchCookie(message, sender, sendResponse) {
+    try {
+      const cookie = message.cookie;
+      const id = cookieIdentity(cookie);
+      const watches = (await storageGet(WATCHES_KEY, [])).filter(watch => watch.id !== id);
+
+      if (message.watch) {
+        watches.push({
+          id: id,
+          exact: true,
+          name: cookie.name,
+          domain: cookie.domain,
+          path: cookie.path,
+          partitionSite: partitionSite(cookie),
+          storeId: cookie.storeId,
+          expiry: true,
+          changes: true
+        });
+        await scheduleExpiryAlarm(id, cookie);
+      } else {
+        await new Promise(resolve => chrome.alarms.clear(EXPIRY_ALARM_PREFIX + id, resolve));
+      }
+
+      await storageSet(WATCHES_KEY, watches);
+      console.log(message.watch ? 'Watching' : 'Stopped watching', cookie.name);
+      sendResponse(await watchedCookiesResponse());
+    } catch (error) {
+      console.error('Watch cookie error:', error);
+      sendResponse({ type: 'ERROR', message: 'Failed to update watched cookies' });
+    }
+  }
+
+  // Watch every cookie matching name / domain / path patterns ("*" wildcards, "*.example.com")
+  async function handleAddCookieWatch(message, sender, sendResponse) {
+    try {
+      const watch = message.watch || {};
+      const errors = [];
+      if (!watch.name) errors.push('Name pattern is required (use * for any name)');
+      if (!watch.domain) errors.push('Domain pattern is required, e.g. *.example.com');
+      if (!watch.expiry && !watch.changes) errors.push('Pick at least one of expiry or change alerts');
+      if (errors.length > 0) {
+        sendResponse({ type: 'WATCH_VALIDATION_ERROR', errors: errors });
+        return;
+      }
+
+      const watches = await storageGet(WATCHES_KEY, []);
+      watches.push({
+        id: `pattern-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+        exact: false,
+        name: watch.name.trim(),
+        domain: watch.domain.trim().toLowerCase(),
+        path: (watch.path || '*').trim(),
+        expiry: !!watch.expiry,
+        changes: !!watch.changes
+      });
+      await storageSet(WATCHES_KEY, watches);
+
+      sendResponse(await watchedCookiesResponse());
+    } catch (error) {
+      console.error('Add cookie watch error:', error);
+      sendResponse({ type: 'ERROR', message: 'Failed to add watch' });
+    }
+  }
+
+  async function handleRemoveCookieWatch(message, sender, sendResponse) {
+    try {
+      const watches = (await storageGet(WATCHES_KEY, [])).filter(watch => watch.id !== message.id);
+      await storageSet(WATCHES_KEY, watches);
+      // Exact watches use the cookie's identity as id, which is also its alarm name
+      await new Promise(resolve => chrome.alarms.clear(EXPIRY_ALARM_PREFIX + message.id, resolve));
+
+      sendResponse(await watchedCookiesResponse());
+    } catch (error) {
+      console.error('Remove cookie watch error:', error);
+      sendResponse({ type: 'ERROR', message: 'Failed to remove watch' });
+    }
+  }
+
+  // Alerts were looked at - clear the badge
+  async function handleMarkWatchAlertsSeen(message, sender, sendResponse) {
+    try {
+      await updateWatchAlerts(alerts => alerts.map(alert => ({ ...alert, seen: true })));
+      sendResponse(await watchedCookiesResponse());
+    } catch (error) {
+      console.error('Mark watch alerts seen error:', error);
+      sendResponse({ type: 'ERROR', message: 'Failed to update alerts' });
+    }
+  }
+
+  async function watchedCookiesResponse() {
+    return {
+      type: 'WATCHED_COOKIES',
+      watches: (await storageGet(WATCHES_KEY, [])).map(normalizeWatch),
+      alerts: await storageGet(WATCH_ALERTS_KEY, [])
+    };
+  }
+
+  async function handleGetTrash(message, sender, sendResponse) {
+    try {
+      sendResponse({ type: 'TRASH', batches: await getTrash() });
+    } catch (error) {
+      console.error('Get trash error:', error);
+      sendResponse({ type: 'ERROR', message: 'Failed to load trash' });
+    }
+  }
+
+  // Put a whole batch back (Undo), or one cookie of it when an index is given
+  async function handleRestoreFromTrash(message, sender, sendResponse) {
+    try {
+      const hasPermission = await checkCookiePermission();
+      if (!hasPermission) {
+        sendResponse({ type: 'ERROR', message: 'Cookie permission not granted' });
+        return;
+      }
+
+      const batches = await getTrash();
+      const batch = batches.find(entry => entry.id === message.batchId);
+      if (!batch) {
+        sendResponse({ type: 'ERROR', message: 'That batch is no longer in the trash' });
+        return;
+      }
+
+      const indexes = typeof message.index === 'number' ? [message.index] : batch.cookies.map((cookie, index) => index);
+      const now = Date.now() / 1000;
+      const restoredIndexes = new Set();
+      const failed = [];
+
+      for (const index of indexes) {
+        const cookie = batch.cookies[index];
+        if (!cookie) continue;
+        if (cookie.expirationDate && cookie.expirationDate <= now) {
+          failed.push({ name: cookie.name, reason: 'expired while in the trash' });
+          continue;
+        }
+        try {
+          await setCookie(cookieToDetails(cookie));
+          restoredIndexes.add(index);
+        } catch (error) {
+          failed.push({ name: cookie.name, reason: error.message });
+        }
+      }
+
+      // Restored cookies leave the trash; failed ones stay so they can be retried or inspected
+      const remaining = await updateTrash(current => current
+        .map(entry => entry.id === batch.id
+          ? { ...entry, cookies: entry.cookies.filter((cookie, index) => !restoredIndexes.has(index)) }
+          : entry)
+        .filter(entry => entry.cookies.length > 0));
+
+      console.log('Restored', restoredIndexes.size, 'cookies from trash batch', batch.label);
+      sendResponse({ type: 'TRASH_RESTORED', restored: restoredIndexes.size, failed: failed, batches: remaining });
+    } catch (error) {
+      console.error('Restore from trash error:', error);
+      sendResponse({ type: 'ERROR', message: 'Failed to restore cookies' });
+    }
+  }
+
+  async function handleEmptyTrash(message, sender, sendResponse) {
+    try {
+      await updateTrash(() => []);
+      sendResponse({ type: 'TRASH', batches: [] });
+    } catch (error) {
+      console.error('Empty trash error:', error);
+      sendResponse({ type: 'ERROR', message: 'Failed to empty trash' });
+    }
+  }
+
+  // Cookies removed by one action - saved together so they can be restored together
+  function createTrashBatch(label) {
+    return {
+      id: `trash-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+      label: label,
+      time: Date.now(),
+      cookies: []
+    };
+  }
+
+  function saveTrashBatch(batch) {
+    if (batch.cookies.length === 0) return Promise.resolve();
+    return updateTrash(batches => [batch, ...batches]);
+  }
+
+  async function getTrash() {
+    await trashWriteQueue;
+    return pruneTrash(await storageGet(TRASH_KEY, []));
+  }
+
+  // Trash writes are read-modify-write, so chain them like the history log
+  function updateTrash(update) {
+    const result = trashWriteQueue.then(async () => {
+      const batches = pruneTrash(update(pruneTrash(await storageGet(TRASH_KEY, []))));
+      await storageSet(TRASH_KEY, batches);
+      return batches;
+    });
+    trashWriteQueue = result.catch(error => {
+      console.error('Failed to update trash:', error);
+    });
+    return result;
+  }
+
+  // Drop batches past the retention period, then the oldest cookies beyond the size limit
+  function pruneTrash(batches) {
+    const cutoff = Date.now() - TRASH_RETENTION_MS;
+    let budget = TRASH_COOKIE_LIMIT;
+    return batches
+      .filter(batch => batch.time >= cutoff)
+      .map(batch => {
+        const cookies = batch.cookies.slice(0, Math.max(budget, 0));
+        budget -= cookies.length;
+        return { ...batch, cookies: cookies };
+      })
+      .filter(batch => batch.cookies.length > 0);
+  }
+
+  async function handleGetProtectedCookies(message, sender, sendResponse) {
+    try {
+      sendResponse(await protectedCookiesResponse());
+    } catch (error) {
+      console.error('Get protected cookies error:', error);
+      sendResponse({ type: 'ERROR', message: 'Failed to load protected cookies' });
+    }
+  }
+
+  // Pin a cookie's current value and attributes, or release it
+  async function handleProtectCookie(message, sender, sendResponse) {
+    try {
+      const hasPermission = await checkCookiePermission();
+      if (!hasPermission) {
+        sendResponse({ type: 'ERROR', message: 'Cookie permission not granted' });
+        return;
+      }
+
+      const protectedSet = await getProtectedCookies();
+      const key = protectionKey(message.cookie);
+
+      if (message.protect) {
+        // Only keep what chrome.cookies hands back - not the overlay's scope / classification extras
+        const { scope, classification, ...cookie } = message.cookie;
+        protectedSet.set(key, cookie);
+        // Restoring needs onChanged, which only runs once the listener is up
+        await setupCookieListener();
+      } else {
+        protectedSet.delete(key);
+      }
+
+      await storageSet(PROTECTED_KEY, Array.from(protectedSet.values()));
+      console.log(message.protect ? 'Protected' : 'Unprotected', message.cookie.name);
+      sendResponse(await protectedCookiesResponse());
+    } catch (error) {
+      console.error('Protect cookie error:', error);
+      sendResponse({ type: 'ERROR', message: 'Failed to update protected cookies' });
+    }
+  }
+
+  async function protectedCookiesResponse() {
+    const protectedSet = await getProtectedCookies();
+    return {
+      type: 'PROTECTED_COOKIES',
+      cookies: Array.from(protectedSet.entries()).map(([id, cookie]) => ({ id: id, ...cookie })),
+      log: await storageGet(PROTECTION_LOG_KEY, [])
+    };
+  }
+
+  async function getProtectedCookies() {
+    if (!protectedCookies) {
+      const saved = await storageGet(PROTECTED_KEY, []);
+      protectedCookies = new Map(saved.map(cookie => [protectionKey(cookie), cookie]));
+    }
+    return protectedCookies;
+  }
+
+  // Protection is per cookie store - the same cookie in another profile or container isn't pinned
+  function protectionKey(cookie) {
+    return cookie.storeId + '|' + cookieIdentity(cookie);
+  }
+
+  // Attributes a restore puts back - anything else a Set-Cookie can change is part of the identity
+  const PROTECTED_ATTRIBUTES = ['value', 'secure', 'httpOnly', 'sameSite', 'session', 'expirationDate'];
+
+  // Put a protected cookie back when a page, server or expiry removed or altered it.
+  // Our own restore shows up here as well, and matches the saved copy, so it's left alone.
+  async function restoreProtectedCookie(changeInfo) {
+    const key = protectionKey(changeInfo.cookie);
+    const saved = (await getProtectedCookies()).get(key);
+    if (!saved) return;
+
+    // First half of an overwrite - the add that follows says what the cookie became
+    if (changeInfo.removed && changeInfo.cause === 'overwrite') return;
+
+    const cookie = changeInfo.cookie;
+    if (!changeInfo.removed && PROTECTED_ATTRIBUTES.every(attr => cookie[attr] === saved[attr])) return;
+
+    const now = Date.now();
+    const restores = (recentRestores.get(key) || []).filter(time => now - time < RESTORE_BURST_WINDOW_MS);
+    if (restores.length >= RESTORE_BURST_LIMIT) {
+      console.warn('Protected cookie keeps changing, not restoring:', cookie.name);
+      if (restores.length === RESTORE_BURST_LIMIT) {
+        restores.push(now);
+        recentRestores.set(key, restores);
+        await logProtectionRevert(saved, changeInfo, false, `Changed ${RESTORE_BURST_LIMIT} times in ${RESTORE_BURST_WINDOW_MS / 1000}s - gave up restoring until it settles`);
+      }
+      return;
+    }
+    restores.push(now);
+    recentRestores.set(key, restores);
+
+    const details = cookieToDetails(saved);
+    // The saved expiry has passed, so restoring it as-is would delete the cookie again - pin it for another day.
+    // The saved copy takes the new expiry too, or our own restore wouldn't match it and would be restored again.
+    let note = '';
+    if (details.expirationDate && details.expirationDate <= now / 1000) {
+      details.expirationDate = Math.floor(now / 1000) + 24 * 3600;
+      note = ' (saved expiry had passed, extended by a day)';
+      saved.expirationDate = details.expirationDate;
+      const protectedSet = await getProtectedCookies();
+      protectedSet.set(key, saved);
+      await storageSet(PROTECTED_KEY, Array.from(protectedSet.values()));
+    }
+
+    try {
+      await setCookie(details);
+      console.log('Restored protected cookie:', saved.name, 'after', changeInfo.cause);
+      await logProtectionRevert(saved, changeInfo, true, note);
+    } catch (error) {
+      console.error('Failed to restore protected cookie:', saved.name, error);
+      await logProtectionRevert(saved, changeInfo, false, error.message);
+    }
+  }
+
+  function logProtectionRevert(saved, changeInfo, restored, detail) {
+    const entry = {
+      time: Date.now(),
+      name: saved.name,
+      domain: saved.domain,
+      path: saved.path,
+      cause: changeInfo.cause,
+      change: changeInfo.removed ? 'removed' : 'changed',
+      attemptedValue: changeInfo.removed ? null : changeInfo.cookie.value,
+      restored: restored,
+      detail: detail || ''
+    };
+
+    protectionLogQueue = protectionLogQueue.then(async () => {
+      const log = await storageGet(PROTECTION_LOG_KEY, []);
+      log.unshift(entry);
+      await storageSet(PROTECTION_LOG_KEY, log.slice(0, PROTECTION_LOG_LIMIT));
+    }).catch(error => {
+      console.error('Failed to log protection revert:', error);
+    });
+
+    return protectionLogQueue;
+  }
+
+  // Start recording cookie writes for the tab's site, optionally from a clean jar and a fresh page load
+  async function handleStartConsentRecording(message, sender, sendResponse) {
+    try {
+      const hasPermission = await checkCookiePermission();
+      if (!hasPermission) {
+        sendResponse({ type: 'ERROR', message: 'Cookie permission not granted' });
+        return;
+      }
+
+      const tabId = sender.tab ? sender.tab.id : message.tabId;
+      const domain = extractDomain(message.url || message.domain);
+
+      if (message.clearFirst) {
+        const cookies = await getAllRelevantCookies(domain, message.storeId);
+        const batch = createTrashBatch(`Cleared ${domain} for consent recording`);
+        await Promise.all(cookies.map(cookie => removeCookie(cookie, batch)));
+        await saveTrashBatch(batch);
+        console.log('Cleared', cookies.length, 'cookies before consent recording');
+      }
+
+      await setupCookieListener();
+      await loadConsentRecordings();
+      consentRecordings.set(tabId, {
+        domain: domain,
+        url: message.url,
+        storeId: message.storeId || null,
+        startedAt: Date.now(),
+        decision: null,
+        decisionAt: null,
+        events: []
+      });
+      await saveConsentRecordings();
+      console.log('Consent recording started for', domain, 'in tab', tabId);
+
+      sendResponse({ type: 'CONSENT_RECORDING_STARTED' });
+
+      if (message.reload && typeof tabId === 'number') {
+        chrome.tabs.reload(tabId);
+      }
+    } catch (error) {
+      console.error('Start consent recording error:', error);
+      sendResponse({ type: 'ERROR', message: 'Failed to start consent recording' });
+    }
+  }
+
+  // The "accepted" / "rejected" marker - everything recorded after this belongs to the decision
+  async function handleMarkConsentDecision(message, sender, sendResponse) {
+    try {
+      await loadConsentRecordings();
+      const recording = consentRecordings.get(sender.tab ? sender.tab.id : message.tabId);
+      if (!recording) {
+        sendResponse({ type: 'ERROR', message: 'No consent recording in progress' });
+        return;
+      }
+      if (!['accepted', 'rejected'].includes(message.decision)) {
+        sendResponse({ type: 'ERROR', message: 'Decision must be accepted or rejected' });
+        return;
+      }
+
+      recording.decision = message.decision;
+      recording.decisionAt = Date.now();
+      await saveConsentRecordings();
+      console.log('Consent marked as', message.decision);
+      sendResponse({ type: 'CONSENT_REPORT', recording: true, report: buildConsentReport(recording) });
+    } catch (error) {
+      console.error('Mark consent decision error:', error);
+      sendResponse({ type: 'ERROR', message: 'Failed to mark consent decision' });
+    }
+  }
+
+  async function handleGetConsentReport(message, sender, sendResponse) {
+    try {
+      await loadConsentRecordings();
+      const recording = consentRecordings.get(sender.tab ? sender.tab.id : message.tabId);
+      sendResponse({
+        type: 'CONSENT_REPORT',
+        recording: !!recording,
+        report: recording ? buildConsentReport(recording) : null
+      });
+    } catch (error) {
+      console.error('Get consent report error:', error);
+      sendResponse({ type: 'ERROR', message: 'Failed to build consent report' });
+    }
+  }
+
+  // Asked by every page on load, so it answers yes / no without building a report. Session storage stays
+  // closed to content scripts - the recordings hold URLs and cookie names from every site written to.
+  async function handleCheckConsentRecording(message, sender, sendResponse) {
+    try {
+      await loadConsentRecordings();
+      const recording = consentRecordings.get(sender.tab ? sender.tab.id : message.tabId);
+      sendResponse({
+        type: 'CONSENT_RECORDING_STATUS',
+        recording: !!recording && recording.domain === message.domain
+      });
+    } catch (error) {
+      console.error('Check consent recording error:', error);
+      sendResponse({ type: 'ERROR', message: 'Failed to check consent recording' });
+    }
+  }
+
+  async function handleStopConsentRecording(message, sender, sendResponse) {
+    try {
+      const tabId = sender.tab ? sender.tab.id : message.tabId;
+      await loadConsentRecordings();
+      const recording = consentRecordings.get(tabId);
+      consentRecordings.delete(tabId);
+      await saveConsentRecordings();
+      sendResponse({
+        type: 'CONSENT_REPORT',
+        recording: false,
+        report: recording ? buildConsentReport(recording) : null
+      });
+    } catch (error) {
+      console.error('Stop consent recording error:', error);
+      sendResponse({ type: 'ERROR', message: 'Failed to stop consent recording' });
+    }
+  }
+
+  // Start recording request-level cookie traffic for the sender's tab. Needs the optional webRequest permission,
+  // which only the popup can request - a message from the overlay isn't a user gesture.
+  async function handleStartRequestTrace(message, sender, sendResponse) {
+    try {
+      const tabId = sender.tab ? sender.tab.id : message.tabId;
+      if (typeof tabId !== 'number') {
+        sendResponse({ type: 'ERROR', message: 'Request tracing needs a tab' });
+        return;
+      }
+
+      if (!(await checkWebRequestPermission())) {
+        sendResponse({
+          type: 'WEB_REQUEST_PERMISSION_MISSING',
+          message: 'Request tracing needs permission to read request headers. Click the extension\'s toolbar icon and choose "Allow Request Tracing", then try again.'
+        });
+        return;
+      }
+
+      setupRequestTracing();
+      if (!requestTraces.has(tabId)) {
+        requestTraces.set(tabId, []);
+      }
+      console.log('Request tracing started for tab', tabId);
+      sendResponse({ type: 'REQUEST_TRACE_STARTED' });
+    } catch (error) {
+      console.error('Start request trace error:', error);
+      sendResponse({ type: 'ERROR', message: 'Failed to start request tracing' });
+    }
+  }
+
+  async function handleStopRequestTrace(message, sender, sendResponse) {
+    try {
+      const tabId = sender.tab ? sender.tab.id : message.tabId;
+      requestTraces.delete(tabId);
+      console.log('Request tracing stopped for tab', tabId);
+      sendResponse({ type: 'REQUEST_TRACE_STOPPED' });
+    } catch (error) {
+      console.error('Stop request trace error:', error);
+      sendResponse({ type: 'ERROR', message: 'Failed to stop request tracing' });
+    }
+  }
+
+  // Trace events for one cookie, newest first. Also reports whether the tab is still being traced,
+  // since a restarted service worker forgets which tabs were
+  async function handleGetCookieTrace(message, sender, sendResponse) {
+    try {
+      const tabId = sender.tab ? sender.tab.id : message.tabId;
+      const events = requestTraces.get(tabId) || [];
+      const domain = (message.domain || '').replace(/^\./, '');
+
+      sendResponse({
+        type: 'COOKIE_TRACE',
+        tracing: requestTraces.has(tabId),
+        events: events
+          .filter(event => event.name === message.name)
+          .filter(event => !event.domain || !domain || event.domain === domain)
+          .slice()
+          .reverse()
+      });
+    } catch (error) {
+      console.error('Get cookie trace error:', error);
+      sendResponse({ type: 'ERROR', message: 'Failed to load request trace' });
+    }
+  }
+
+  // Revoke cookie permission
+  async function handleRevokePermission(message, sender, sendResponse) {
+    try {
+      const removed = await new Promise(resolve => {
+        chrome.permissions.remove({ permissions: ['cookies'] }, resolve);
+      });
+
+      if (removed) {
+        // Remove cookie listener when permission is revoked
+        try {
+          if (chrome.cookies && chrome.cookies.onChanged && chrome.cookies.onChanged.hasListener(handleCookieChange)) {
+            chrome.cookies.onChanged.removeListener(handleCookieChange);
+            console.log('Cookie change listener removed');
+          }
+        } catch (error) {
+          console.log('Cookie listener cleanup error (expected):', error.message);
+        }
+        
+        // Clear all active tab registrations
+        activeTabDomains.clear();
+        tabStoreSelection.clear();
+        
+        sendResponse({ type: 'PERMISSION_REVOKED' });
+      } else {
+        sendResponse({ type: 'ERROR', message: 'Failed to revoke permission' });
+      }
+    } catch (error) {
+      console.error('Revoke permission error:', error);
+      sendResponse({ type: 'ERROR', message: 'Failed to revoke permission' });
+    }
+  }
+
+  // Mirror a response to the sender's tab. The DevTools panel has no tab and
+  // only uses the sendResponse channel.
+  function notifySenderTab(sender, message) {
+    if (!sender.tab) return;
+    chrome.tabs.sendMessage(sender.tab.id, message).catch(error => {
+      console.log('Could not notify tab', sender.tab.id, ':', error.message);
+    });
+  }
+
+  // Helper function to check if we have cookie permission
+  async function checkCookiePermission() {
+    return new Promise(resolve => {
+      chrome.permissions.contains({ permissions: ['cookies'] }, resolve);
+    });
+  }
+
+  // Cookies for a domain: everything stored for the host (and its subdomains) plus cookies set on one of
+  // its parent domains. getAll({ domain }) also returns every subdomain of the domain it's given, so parents
+  // only contribute cookies set on exactly that parent - never a sibling subdomain, and nothing under a
+  // public suffix like co.uk, which can't hold cookies itself.
+  async function getAllRelevantCookies(domain, storeId) {
+    const query = d => getAllCookies(storeId ? { domain: d, storeId: storeId } : { domain: d });
+    const allCookies = await query(domain);
+
+    // IP addresses and single-label hosts like localhost have no parent domains
+    if (!isIpAddress(domain)) {
+      const domainParts = domain.split('.');
+      for (let i = 1; i < domainParts.length - 1; i++) {
+        const parent = domainParts.slice(i).join('.');
+        const cookies = await query(parent);
+        allCookies.push(...cookies.filter(c => c.domain.replace(/^\./, '') === parent));
+      }
+    }
+
+    // Deduplicate cookies by name + domain + path + partition
+    const unique = {};
+    allCookies.forEach(c => {
+      unique[cookieIdentity(c)] = c;
+    });
+
+    return Object.values(unique);
+  }
+
+  function isIpAddress(hostname) {
+    return /^\d+(\.\d+){3}$/.test(hostname) || hostname.includes(':');
+  }
+
+  // The domain's cookies annotated with scope, then classification - what the overlay and panel list
+  async function getScopedCookies(domain, url, storeId, sameSiteContext) {
+    const cookies = scopeCookies(await getAllRelevantCookies(domain, storeId), url || `https://${domain}/`, sameSiteContext);
+    return decorateCookies(cookies, domain);
+  }
+
+  // Which cookies CLEAR_DOMAIN_COOKIES removes for each scope the overlay offers
+  const CLEAR_SCOPES = {
+    // Everything the list shows: the host, its subdomains and its parent domains
+    relevant: (cookie, domain) => {
+      const cookieDomain = cookie.domain.replace(/^\./, '');
+      return domain === cookieDomain || domain.endsWith('.' + cookieDomain) || cookieDomain.endsWith('.' + domain);
+    },
+    sent: cookie => cookie.scope.sent,
+    host: (cookie, domain) => cookie.domain.replace(/^\./, '') === domain
+  };
+
+  // Request contexts the SameSite check can be evaluated for
+  const SAME_SITE_CONTEXTS = ['same-site', 'cross-site-navigation', 'cross-site-subresource'];
+
+  // Attach { sent, reasons } to each cookie for a request to url in the given SameSite context
+  function scopeCookies(cookies, url, sameSiteContext) {
+    const target = new URL(url);
+    const context = SAME_SITE_CONTEXTS.includes(sameSiteContext) ? sameSiteContext : 'same-site';
+    const now = Date.now() / 1000;
+    return cookies.map(cookie => ({ ...cookie, scope: evaluateCookieScope(cookie, target, context, now) }));
+  }
+
+  // Would the browser attach this cookie to a request for url? Follows RFC 6265bis: host-only vs
+  // domain match, path match, Secure, SameSite for the request context, partition and expiry.
+  // Collects every reason it wouldn't rather than stopping at the first.
+  function evaluateCookieScope(cookie, url, context, now) {
+    const reasons = [];
+    const host = url.hostname;
+    const cookieDomain = cookie.domain.replace(/^\./, '');
+
+    if (cookie.hostOnly) {
+      if (host !== cookieDomain) {
+        reasons.push(`Host-only cookie for ${cookieDomain}`);
+      }
+    } else if (host !== cookieDomain && !host.endsWith('.' + cookieDomain)) {
+      reasons.push(`Domain ${cookie.domain} does not cover ${host}`);
+    }
+
+    if (!cookiePathMatches(url.pathname, cookie.path)) {
+      reasons.push(`Path ${cookie.path} does not match ${url.pathname}`);
+    }
+
+    if (cookie.secure && url.protocol !== 'https:' && !isLocalhost(host)) {
+      reasons.push('Secure cookie on a non-HTTPS URL');
+    }
+
+    // Cross-site subresources run under another top-level site, so this site's partition doesn't apply.
+    // The partition key is already a registrable domain, so matching the host against it needs no suffix list.
+    const site = partitionSite(cookie);
+    if (site) {
+      const partitionHost = site.replace(/^https?:\/\//, '');
+      if (context === 'cross-site-subresource' || (host !== partitionHost && !host.endsWith('.' + partitionHost))) {
+        reasons.push(`Partitioned under ${site}`);
+      }
+    }
+
+    const sameSite = cookie.sameSite || 'unspecified';
+    if (context === 'cross-site-subresource') {
+      if (sameSite === 'strict' || sameSite === 'lax') {
+        reasons.push(`SameSite=${sameSite === 'strict' ? 'Strict' : 'Lax'} is not sent on cross-site subresource requests`);
+      } else if (sameSite === 'unspecified') {
+        reasons.push('No SameSite attribute - treated as Lax, not sent on cross-site subresource requests');
+      }
+    } else if (context === 'cross-site-navigation' && sameSite === 'strict') {
+      reasons.push('SameSite=Strict is not sent on cross-site navigations');
+    }
+
+    if (cookie.expirationDate && cookie.expirationDate < now) {
+      reasons.push('Expired');
+    }
+
+    return { sent: reasons.length === 0, reasons: reasons };
+  }
+
+  // RFC 6265 path-match: identical, or the cookie path is a prefix ending at a "/" boundary
+  function cookiePathMatches(requestPath, cookiePath) {
+    const path = cookiePath || '/';
+    if (requestPath === path) return true;
+    return requestPath.startsWith(path) && (path.endsWith('/') || requestPath[path.length] === '/');
+  }
+
+  // Browsers treat localhost as a secure context, so Secure cookies are sent over plain HTTP there
+  function isLocalhost(host) {
+    return host === 'localhost' || host.endsWith('.localhost') || host === '127.0.0.1' || host === '[::1]';
+  }
+
+  // chrome.cookies.getAll() that also returns partitioned (CHIPS) cookies from every partition.
+  // Browsers without partitionKey support reject the property, so fall back to a plain query.
+  function getAllCookies(details) {
+    return new Promise(resolve => {
+      try {
+        chrome.cookies.getAll({ ...details, partitionKey: {} }, (cookies) => {
+          if (chrome.runtime.lastError) {
+            chrome.cookies.getAll(details, resolve);
+            return;
+          }
+          resolve(cookies);
+        });
+      } catch (error) {
+        chrome.cookies.getAll(details, resolve);
+      }
+    });
+  }
+
+  // Cookies whose domain attribute is exactly this host (with or without the leading dot)
+  async function getCookiesStoredUnder(domain, storeId) {
+    const cookies = await getAllCookies(storeId ? { domain: domain, storeId: storeId } : { domain: domain });
+    return cookies.filter(cookie => cookie.domain.replace(/^\./, '') === domain);
+  }
+
+  // Group cookies by domain with counts, bytes and expiry range.
+  // A domain counts as third-party when no open tab is on it and every cookie it holds is
+  // either partitioned under another site or SameSite=None - i.e. only useful in cross-site requests.
+  function summarizeCookieDomains(cookies, openSites) {
+    const byDomain = new Map();
+
+    cookies.forEach(cookie => {
+      const domain = cookie.domain.replace(/^\./, '');
+      if (!byDomain.has(domain)) {
+        byDomain.set(domain, {
+          domain: domain,
+          count: 0,
+          bytes: 0,
+          sessionCount: 0,
+          oldestExpiry: null,
+          newestExpiry: null,
+          crossSiteOnly: true
+        });
+      }
+
+      const entry = byDomain.get(domain);
+      entry.count++;
+      entry.bytes += new TextEncoder().encode(cookie.name + '=' + cookie.value).length;
+
+      if (cookie.session || !cookie.expirationDate) {
+        entry.sessionCount++;
+      } else {
+        entry.oldestExpiry = entry.oldestExpiry === null ? cookie.expirationDate : Math.min(entry.oldestExpiry, cookie.expirationDate);
+        entry.newestExpiry = entry.newestExpiry === null ? cookie.expirationDate : Math.max(entry.newestExpiry, cookie.expirationDate);
+      }
+
+      const site = partitionSite(cookie);
+      const partitionedElsewhere = site && !site.replace(/^https?:\/\//, '').endsWith(domain);
+      if (!partitionedElsewhere && cookie.sameSite !== 'no_restriction') {
+        entry.crossSiteOnly = false;
+      }
+    });
+
+    return Array.from(byDomain.values()).map(entry => {
+      const { crossSiteOnly, ...summary } = entry;
+      const visited = openSites.some(host => host === entry.domain || host.endsWith('.' + entry.domain));
+      return { ...summary, thirdParty: crossSiteOnly && !visited };
+    });
+  }
+
+  // Chrome uses "0" for the regular profile and "1" for incognito; Firefox names its container stores
+  function describeCookieStore(storeId) {
+    if (storeId === '0' || storeId === 'firefox-default') return 'Default';
+    if (storeId === '1' || storeId === 'firefox-private') return 'Incognito';
+    const container = storeId.match(/^firefox-container-(\d+)$/);
+    return container ? `Container ${container[1]}` : `Store ${storeId}`;
+  }
+
+  // Top-level site a partitioned cookie belongs to, or '' for ordinary cookies
+  function partitionSite(cookie) {
+    return cookie.partitionKey && cookie.partitionKey.topLevelSite ? cookie.partitionKey.topLevelSite : '';
+  }
+
+  // Key that tells two distinct cookies apart within a store
+  function cookieIdentity(cookie) {
+    return cookie.name + '|' + cookie.domain + '|' + cookie.path + '|' + partitionSite(cookie);
+  }
+
+
+  // Promise wrappers around chrome.storage.local
+  function storageGet(key, fallback) {
+    return new Promise(resolve => {
+      chrome.storage.local.get(key, (result) => {
+        resolve(result[key] !== undefined ? result[key] : fallback);
+      });
+    });
+  }
+
+  function storageSet(key, value) {
+    return new Promise(resolve => {
+      chrome.storage.local.set({ [key]: value }, resolve);
+    });
+  }
+
+  async function getSnapshot(domain, name) {
+    const snapshots = await storageGet(SNAPSHOTS_KEY, {});
+    return snapshots[domain] ? snapshots[domain][name] : undefined;
+  }
+
+  // Helper function to extract domain from URL
+  function extractDomain(url) {
+    try {
+      if (url.startsWith('http')) {
+        return new URL(url).hostname;
+      }
+      return url; // Assume it's already a domain
+    } catch (error) {
+      console.error('Invalid URL:', url);
+      return url;
+    }
+  }
+
+  // Helper function to construct proper cookie URL
+  function constructCookieUrl(cookie) {
+    const protocol = cookie.secure ? 'https://' : 'http://';
+    const domain = cookie.domain.startsWith('.') ? cookie.domain.slice(1) : cookie.domain;
+    return protocol + domain + cookie.path;
+  }
+
+  // Helper to write a cookie - rejects with the browser's reason when it refuses
+  function setCookie(details) {
+    return new Promise((resolve, reject) => {
+      chrome.cookies.set(details, (cookie) => {
+        if (chrome.runtime.lastError || !cookie) {
+          const reason = chrome.runtime.lastError ? chrome.runtime.lastError.message : 'Browser rejected the cookie';
+          reject(new Error(reason));
+          return;
+        }
+        resolve(cookie);
+      });
+    });
+  }
+
+  // Turn a cookie we read back from the API into details chrome.cookies.set() will accept
+  function cookieToDetails(cookie) {
+    const details = {
+      url: constructCookieUrl(cookie),
+      name: cookie.name,
+      value: cookie.value,
+      path: cookie.path,
+      secure: cookie.secure,
+      httpOnly: cookie.httpOnly,
+      sameSite: cookie.sameSite,
+      storeId: cookie.storeId
+    };
+
+    if (!cookie.hostOnly) {
+      details.domain = cookie.domain;
+    }
+    if (!cookie.session && cookie.expirationDate) {
+      details.expirationDate = cookie.expirationDate;
+    }
+    if (partitionSite(cookie)) {
+      details.partitionKey = { topLevelSite: partitionSite(cookie) };
+    }
+
+    return details;
+  }
+
+  // Work out what changed between two cookie lists, matching cookies by name + domain + path
+  function diffCookieSets(before, after) {
+    const key = cookieIdentity;
+    const beforeMap = new Map(before.map(c => [key(c), c]));
+    const afterMap = new Map(after.map(c => [key(c), c]));
+    const attributes = ['secure', 'httpOnly', 'sameSite', 'hostOnly', 'session', 'expirationDate'];
+    // key already separates partitions, so partitionKey never shows up as an attribute change
+    const diff = { added: [], removed: [], valueChanged: [], attributeChanged: [] };
+
+    afterMap.forEach((cookie, k) => {
+      const old = beforeMap.get(k);
+      if (!old) {
+        diff.added.push(cookie);
+        return;
+      }
+      if (old.value !== cookie.value) {
+        diff.valueChanged.push({ cookie: cookie, oldValue: old.value, newValue: cookie.value });
+      }
+      const changed = attributes.filter(attr => old[attr] !== cookie[attr]);
+      if (changed.length > 0) {
+        diff.attributeChanged.push({ cookie: cookie, attributes: changed });
+      }
+    });
+
+    beforeMap.forEach((cookie, k) => {
+      if (!afterMap.has(k)) {
+        diff.removed.push(cookie);
+      }
+    });
+
+    return diff;
+  }
+
+  // Helper to remove a single cookie, resolves with null if nothing was removed
+  // Every removal goes through here, so protected cookies are skipped by every bulk action too.
+  // Callers pass a trash batch so the removal can be undone. Block / keep-only rules are the one exception:
+  // a site re-setting a blocked cookie would flood the trash and push out the user's own removals.
+  async function removeCookie(cookie, batch) {
+    if ((await getProtectedCookies()).has(protectionKey(cookie))) {
+      console.log('Skipping protected cookie:', cookie.name);
+      return null;
+    }
+
+    const url = constructCookieUrl(cookie);
+    console.log('Removing cookie:', cookie.name, 'from URL:', url);
+    return new Promise(resolve => {
+      const details = {
+        url: url,
+        name: cookie.name,
+        storeId: cookie.storeId
+      };
+      // Partitioned cookies can only be removed from their own partition
+      if (partitionSite(cookie)) {
+        details.partitionKey = { topLevelSite: partitionSite(cookie) };
+      }
+      chrome.cookies.remove(details, (result) => {
+        console.log('Cookie removal result for', cookie.name, ':', result);
+        if (result && batch) {
+          const { scope, classification, ...removed } = cookie;
+          batch.cookies.push(removed);
+        }
+        resolve(result);
+      });
+    });
+  }
+
+  // Names that usually mean the cookie carries a session or credential
+  const AUTH_COOKIE_PATTERN = /sess|session|token|jwt|sid|auth|login|remember/i;
+
+  // Points deducted from the audit score per finding
+  const AUDIT_SEVERITY_WEIGHTS = { high: 15, medium: 7, low: 2 };
+
+  // Each rule returns a message when the cookie violates it, or null when it's fine
+  const AUDIT_RULES = [
+    {
+      id: 'samesite-none-insecure',
+      severity: 'high',
+      check: (cookie) => cookie.sameSite === 'no_restriction' && !cookie.secure
+        ? 'SameSite=None without Secure - modern browsers reject or downgrade this cookie'
+        : null
+    },
+    {
+      id: 'auth-not-httponly',
+      severity: 'high',
+      check: (cookie) => AUTH_COOKIE_PATTERN.test(cookie.name) && !cookie.httpOnly
+        ? 'Looks like an auth/session cookie but is readable from JavaScript (missing HttpOnly)'
+        : null
+    },
+    {
+      id: 'host-prefix-violation',
+      severity: 'high',
+      check: (cookie) => cookie.name.startsWith('__Host-') &&
+        (!cookie.secure || !cookie.hostOnly || cookie.path !== '/')
+        ? '__Host- prefix requires Secure, no Domain attribute and Path=/'
+        : null
+    },
+    {
+      id: 'secure-prefix-violation',
+      severity: 'high',
+      check: (cookie) => cookie.name.startsWith('__Secure-') && !cookie.secure
+        ? '__Secure- prefix requires the Secure flag'
+        : null
+    },
+    {
+      id: 'insecure-on-https-site',
+      severity: 'medium',
+      check: (cookie, context) => context.isHttps && !cookie.secure
+        ? 'Site uses HTTPS but the cookie lacks Secure, so it is also sent and can be set over plain http'
+        : null
+    },
+    {
+      id: 'broad-domain-scope',
+      severity: 'medium',
+      check: (cookie, context) => {
+        const cookieDomain = cookie.domain.replace(/^\./, '');
+        return !cookie.hostOnly && cookieDomain !== context.domain
+          ? `Scoped to the parent domain ${cookieDomain}, so every subdomain can read and overwrite it`
+          : null;
+      }
+    },
+    {
+      id: 'long-lived-auth',
+      severity: 'medium',
+      check: (cookie, context) => AUTH_COOKIE_PATTERN.test(cookie.name) &&
+        cookie.expirationDate && cookie.expirationDate - context.now > 30 * 86400
+        ? 'Auth/session cookie lives longer than 30 days'
+        : null
+    },
+    {
+      id: 'excessive-lifetime',
+      severity: 'low',
+      check: (cookie, context) => cookie.expirationDate && cookie.expirationDate - context.now > 365 * 86400
+        ? 'Expires more than a year from now'
+        : null
+    },
+    {
+      id: 'samesite-unspecified',
+      severity: 'low',
+      check: (cookie) => !cookie.sameSite || cookie.sameSite === 'unspecified'
+        ? 'No SameSite attribute - relies on the browser default (Lax in Chrome)'
+        : null
+    }
+  ];
+
+  // Evaluate all rules, rank findings by severity and turn them into a 0-100 score
+  function auditCookies(cookies, context) {
+    const severityOrder = { high: 0, medium: 1, low: 2 };
+    const findings = [];
+
+    cookies.forEach(cookie => {
+      AUDIT_RULES.forEach(rule => {
+        const message = rule.check(cookie, context);
+        if (message) {
+          findings.push({
+            rule: rule.id,
+            severity: rule.severity,
+            message: message,
+            cookie: { name: cookie.name, domain: cookie.domain, path: cookie.path }
+          });
+        }
+      });
+    });
+
+    findings.sort((a, b) => severityOrder[a.severity] - severityOrder[b.severity] ||
+      a.cookie.name.localeCompare(b.cookie.name));
+
+    const penalty = findings.reduce((total, finding) => total + AUDIT_SEVERITY_WEIGHTS[finding.severity], 0);
+    const score = Math.max(0, 100 - penalty);
+    const grade = score >= 90 ? 'A' : score >= 75 ? 'B' : score >= 60 ? 'C' : score >= 40 ? 'D' : 'F';
+
+    return { findings: findings, score: score, grade: grade };
+  }
+
+  // Tracker list: classify cookies as analytics / advertising / functional from trackers.json or the user's list
+  async function getTrackerList() {
+    if (!trackerList) {
+      let source = 'custom';
+      let raw = await storageGet(TRACKER_LIST_KEY, null);
+      if (!raw) {
+        source = 'bundled';
+        raw = await fetch(chrome.runtime.getURL('trackers.json')).then(response => response.json());
+      }
+
+      trackerList = {
+        source: source,
+        version: raw.version || '',
+        cookies: (raw.cookies || []).map(entry => ({ ...entry, regex: new RegExp(entry.pattern) })),
+        domains: raw.domains || []
+      };
+    }
+    return trackerList;
+  }
+
+  // Same shape as trackers.json: { version, cookies: [{ pattern, category, vendor }], domains: [{ domain, category, vendor }] }
+  function validateTrackerList(list) {
+    const errors = [];
+    if (!list || typeof list !== 'object' || (!Array.isArray(list.cookies) && !Array.isArray(list.domains))) {
+      return ['Tracker list needs a "cookies" and/or "domains" array'];
+    }
+
+    (list.cookies || []).forEach((entry, index) => {
+      try {
+        new RegExp(entry.pattern);
+      } catch (error) {
+        errors.push(`cookies[${index}]: invalid pattern ${entry.pattern}`);
+      }
+      if (!TRACKING_CATEGORIES.includes(entry.category) && entry.category !== 'functional') {
+        errors.push(`cookies[${index}]: category must be analytics, advertising or functional`);
+      }
+    });
+
+    (list.domains || []).forEach((entry, index) => {
+      if (!entry.domain || typeof entry.domain !== 'string') {
+        errors.push(`domains[${index}]: domain is required`);
+      }
+      if (!TRACKING_CATEGORIES.includes(entry.category) && entry.category !== 'functional') {
+        errors.push(`domains[${index}]: category must be analytics, advertising or functional`);
+      }
+    });
+
+    return errors;
+  }
+
+  // Tracker list matches (by name, then by cookie domain) win; otherwise the cookie is parent-domain
+  // when it was set on a parent of the page's host and first-party when set on the host (or a subdomain)
+  function classifyCookie(cookie, pageDomain, list) {
+    const byName = list.cookies.find(entry => entry.regex.test(cookie.name));
+    if (byName) {
+      return { category: byName.category, vendor: byName.vendor || '', matchedBy: 'name' };
+    }
+
+    const cookieDomain = cookie.domain.replace(/^\./, '');
+    const byDomain = list.domains.find(entry =>
+      cookieDomain === entry.domain || cookieDomain.endsWith('.' + entry.domain));
+    if (byDomain) {
+      return { category: byDomain.category, vendor: byDomain.vendor || '', matchedBy: 'domain' };
+    }
+
+    return {
+      category: pageDomain.endsWith('.' + cookieDomain) ? 'parent-domain' : 'first-party',
+      vendor: '',
+      matchedBy: null
+    };
+  }
+
+  // Attach a classification to each cookie sent to the overlay
+  async function decorateCookies(cookies, pageDomain) {
+    const list = await getTrackerList();
+    return cookies.map(cookie => ({ ...cookie, classification: classifyCookie(cookie, pageDomain, list) }));
+  }
+
+  // New expirationDate (seconds) for an expiry action, null for a session cookie, or an Error
+  function computeAdjustedExpiry(cookie, action) {
+    const now = Date.now() / 1000;
+    const current = cookie.session || !cookie.expirationDate ? null : cookie.expirationDate;
+
+    switch (action.type) {
+      case 'session':
+        return null;
+      case 'persistent':
+        if (current !== null) return new Error('Already a persistent cookie');
+        return now + Math.min(action.seconds, MAX_COOKIE_LIFETIME_SECONDS);
+      case 'extend':
+        return Math.min((current === null ? now : Math.max(current, now)) + action.seconds,
+          now + MAX_COOKIE_LIFETIME_SECONDS);
+      case 'shorten': {
+        if (current === null) return new Error('Session cookies have no expiry to shorten');
+        const shortened = current - action.seconds;
+        if (shortened <= now) return new Error('Shortening by that much would expire the cookie immediately');
+        return shortened;
+      }
+    }
+    return new Error('Unknown expiry action');
+  }
+
+  // Watches saved before pattern watches existed were exact, expiry-only
+  function normalizeWatch(watch) {
+    return {
+      ...watch,
+      exact: watch.exact !== false,
+      expiry: watch.expiry !== undefined ? watch.expiry : true,
+      changes: !!watch.changes
+    };
+  }
+
+  function watchMatches(watch, cookie) {
+    if (watch.exact) {
+      return watch.id === cookieIdentity(cookie);
+    }
+    return matchesGlob(watch.name, cookie.name) &&
+      matchesDomainPattern(watch.domain.replace(/^\./, ''), cookie.domain.replace(/^\./, '')) &&
+      matchesGlob(watch.path || '*', cookie.path);
+  }
+
+  async function getMatchingWatches(cookie) {
+    return (await storageGet(WATCHES_KEY, [])).map(normalizeWatch).filter(watch => watchMatches(watch, cookie));
+  }
+
+  // One alarm per watched cookie (named by its identity), firing EXPIRY_WARNING_LEAD_MS before it
+  // expires. Session cookies and cookies that are gone have nothing to warn about, so the alarm is cleared.
+  async function scheduleExpiryAlarm(id, cookie) {
+    const alarmName = EXPIRY_ALARM_PREFIX + id;
+    if (!cookie || cookie.session || !cookie.expirationDate) {
+      await new Promise(resolve => chrome.alarms.clear(alarmName, resolve));
+      return;
+    }
+
+    const expiresAt = cookie.expirationDate * 1000;
+    if (expiresAt <= Date.now()) return;
+    // Alarms can't fire sooner than 30 seconds out
+    const when = Math.max(expiresAt - EXPIRY_WARNING_LEAD_MS, Date.now() + 30 * 1000);
+    chrome.alarms.create(alarmName, { when: when });
+  }
+
+  // Expiry warning alarm - check the cookie is still there and still watched before alerting
+  async function handleExpiryAlarm(alarm) {
+    if (!alarm.name.startsWith(EXPIRY_ALARM_PREFIX) || !(await checkCookiePermission())) return;
+
+    const id = alarm.name.slice(EXPIRY_ALARM_PREFIX.length);
+    const cookie = (await getAllCookies({})).find(c => cookieIdentity(c) === id);
+    if (!cookie || !cookie.expirationDate) return;
+
+    const watches = await getMatchingWatches(cookie);
+    if (!watches.some(watch => watch.expiry)) return;
+
+    const minutes = Math.max(0, Math.round((cookie.expirationDate * 1000 - Date.now()) / 60000));
+    await raiseWatchAlert(cookie, 'expiring', `expires in ${minutes} min (${new Date(cookie.expirationDate * 1000).toLocaleTimeString()})`);
+  }
+
+  // Keep expiry alarms in step with watched cookies and alert on create / change / remove
+  async function checkWatchedCookie(changeInfo) {
+    const cookie = changeInfo.cookie;
+    const watches = await getMatchingWatches(cookie);
+    if (watches.length === 0) return;
+
+    const id = cookieIdentity(cookie);
+    const wantsExpiry = watches.some(watch => watch.expiry);
+    const wantsChanges = watches.some(watch => watch.changes);
+
+    // An overwrite arrives as removed + added; only the add carries the new expiry
+    if (wantsExpiry) {
+      if (!changeInfo.removed) {
+        await scheduleExpiryAlarm(id, cookie);
+      } else if (changeInfo.cause !== 'overwrite') {
+        await scheduleExpiryAlarm(id, null);
+      }
+    }
+
+    if (changeInfo.removed && changeInfo.cause === 'overwrite') {
+      watchOverwrites.add(id);
+      return;
+    }
+
+    let event;
+    if (changeInfo.removed) {
+      event = changeInfo.cause === 'expired' ? 'expired' : 'removed';
+    } else {
+      event = watchOverwrites.delete(id) ? 'changed' : 'created';
+    }
+
+    if (wantsChanges || (wantsExpiry && event === 'expired')) {
+      await raiseWatchAlert(cookie, event, `cause: ${changeInfo.cause}`);
+    }
+  }
+
+  // Log the alert, show a notification and bump the badge
+  async function raiseWatchAlert(cookie, event, detail) {
+    const titles = {
+      created: 'created',
+      changed: 'changed',
+      removed: 'removed',
+      expired: 'has expired',
+      expiring: 'expires soon'
+    };
+
+    const alert = {
+      time: Date.now(),
+      event: event,
+      name: cookie.name,
+      domain: cookie.domain,
+      path: cookie.path,
+      detail: detail,
+      seen: false
+    };
+    await updateWatchAlerts(alerts => [alert, ...alerts].slice(0, WATCH_ALERTS_LIMIT));
+
+    chrome.notifications.create(`watch-${event}-${cookieIdentity(cookie)}`, {
+      type: 'basic',
+      iconUrl: 'icon.png',
+      title: `Watched cookie "${cookie.name}" ${titles[event] || event}`,
+      message: `${cookie.domain}${cookie.path} · ${detail}`
+    });
+  }
+
+  // Apply update to the stored alerts and refresh the badge from the result, one write at a time
+  function updateWatchAlerts(update) {
+    const result = watchAlertsQueue.then(async () => {
+      const alerts = update(await storageGet(WATCH_ALERTS_KEY, []));
+      await storageSet(WATCH_ALERTS_KEY, alerts);
+      await updateWatchBadge(alerts);
+      return alerts;
+    });
+    watchAlertsQueue = result.catch(error => {
+      console.error('Failed to update watch alerts:', error);
+    });
+    return result;
+  }
+
+  // Badge shows unseen alerts - red when a watched cookie is gone, orange for other changes
+  async function updateWatchBadge(alerts) {
+    const unseen = alerts.filter(alert => !alert.seen);
+    await chrome.action.setBadgeText({ text: unseen.length === 0 ? '' : (unseen.length > 99 ? '99+' : String(unseen.length)) });
+    if (unseen.length > 0) {
+      const gone = unseen.some(alert => alert.event === 'removed' || alert.event === 'expired');
+      await chrome.action.setBadgeBackgroundColor({ color: gone ? '#e53e3e' : '#dd6b20' });
+    }
+  }
+
+  // Add a cookie write to every consent recording in progress. Cookies from other sites are kept too -
+  // embedded trackers set them - but flagged, since onChanged doesn't say which tab wrote them.
+  async function recordConsentEvent(cookie) {
+    await loadConsentRecordings();
+    if (consentRecordings.size === 0) return;
+
+    const list = await getTrackerList();
+    const cookieDomain = cookie.domain.replace(/^\./, '');
+    consentRecordings.forEach(recording => {
+      if (recording.storeId && cookie.storeId !== recording.storeId) return;
+      if (recording.events.length >= CONSENT_EVENT_LIMIT) {
+        recording.droppedEvents = (recording.droppedEvents || 0) + 1;
+        return;
+      }
+
+      const thirdParty = !isDomainRelated(recording.domain, cookieDomain);
+      const classification = classifyCookie(cookie, recording.domain, list);
+      recording.events.push({
+        time: Date.now(),
+        phase: recording.decision || 'before-consent',
+        name: cookie.name,
+        domain: cookie.domain,
+        path: cookie.path,
+        category: thirdParty && ['first-party', 'parent-domain'].includes(classification.category)
+          ? 'unclassified'
+          : classification.category,
+        vendor: classification.vendor,
+        thirdParty: thirdParty
+      });
+    });
+    scheduleConsentSave();
+  }
+
+  // Fill the in-memory recordings from chrome.storage.session once per service worker start
+  function loadConsentRecordings() {
+    if (!consentRecordingsLoaded) {
+      consentRecordingsLoaded = new Promise(resolve => {
+        chrome.storage.session.get(CONSENT_RECORDINGS_KEY, (result) => {
+          Object.entries(result[CONSENT_RECORDINGS_KEY] || {}).forEach(([tabId, recording]) => {
+            consentRecordings.set(Number(tabId), recording);
+          });
+          resolve();
+        });
+      });
+    }
+    return consentRecordingsLoaded;
+  }
+
+  // Writes are whole-map snapshots, chained so an older snapshot never lands after a newer one.
+  // Rejects when the write fails (e.g. over quota); the queue carries on either way.
+  function saveConsentRecordings() {
+    clearTimeout(consentSaveTimer);
+    consentSaveTimer = null;
+    const recordings = Object.fromEntries(consentRecordings);
+
+    const write = consentWriteQueue.then(() => new Promise((resolve, reject) => {
+      chrome.storage.session.set({ [CONSENT_RECORDINGS_KEY]: recordings }, () => {
+        if (chrome.runtime.lastError) {
+          reject(new Error(chrome.runtime.lastError.message));
+        } else {
+          resolve();
+        }
+      });
+    })).then(() => {
+      consentSaveError = null;
+    }, error => {
+      consentSaveError = error.message;
+      throw error;
+    });
+
+    consentWriteQueue = write.catch(() => {});
+    return write;
+  }
+
+  // Saves for recorded cookie writes - explicit actions (start, mark, stop) save straight away instead
+  function scheduleConsentSave() {
+    if (consentSaveTimer) return;
+    consentSaveTimer = setTimeout(() => {
+      saveConsentRecordings().catch(error => {
+        console.error('Failed to save consent recordings:', error);
+      });
+    }, CONSENT_SAVE_DELAY_MS);
+  }
+
+  // Non-essential (analytics / advertising) cookies written before consent was given or after it was refused.
+  // Only the recorded site's own cookies count as violations - a third-party write may have come from any
+  // tab, so those are listed apart as unattributed.
+  function buildConsentReport(recording) {
+    const nonEssential = event => TRACKING_CATEGORIES.includes(event.category);
+    const withoutConsent = recording.events
+      .filter(event => nonEssential(event) && (event.phase === 'before-consent' || event.phase === 'rejected'))
+      .map(event => ({
+        ...event,
+        problem: event.phase === 'rejected' ? 'Written after consent was rejected' : 'Written before consent was given'
+      }));
+    const violations = withoutConsent.filter(event => !event.thirdParty);
+    const unattributed = withoutConsent.filter(event => event.thirdParty);
+
+    return {
+      domain: recording.domain,
+      url: recording.url,
+      startedAt: new Date(recording.startedAt).toISOString(),
+      decision: recording.decision,
+      decisionAt: recording.decisionAt ? new Date(recording.decisionAt).toISOString() : null,
+      totalEvents: recording.events.length,
+      droppedEvents: recording.droppedEvents || 0,
+      saveError: consentSaveError,
+      violations: violations.map(event => ({ ...event, time: new Date(event.time).toISOString() })),
+      unattributed: unattributed.map(event => ({ ...event, time: new Date(event.time).toISOString() })),
+      events: recording.events.map(event => ({ ...event, time: new Date(event.time).toISOString() }))
+    };
+  }
+
+  // Rule actions:
+  //   allow          - never touch matching cookies (optionally only the listed names)
+  //   block          - delete matching cookies as soon as they are set
+  //   keep-only      - delete matching cookies unless their name is listed
+  //   clean-on-close - delete matching cookies once no open tab is on a matching site
+  const RULE_ACTIONS = ['allow', 'block', 'keep-only', 'clean-on-close'];
+
+  async function getCookieRules() {
+    if (!cookieRules) {
+      cookieRules = await storageGet(RULES_KEY, []);
+    }
+    return cookieRules;
+  }
+
+  function normalizeRule(rule) {
+    return {
+      id: rule.id || `rule-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+      pattern: String(rule.pattern || '').trim().toLowerCase(),
+      action: rule.action,
+      names: (rule.names || []).map(name => String(name).trim()).filter(Boolean),
+      enabled: rule.enabled !== false
+    };
+  }
+
+  function validateRules(rules) {
+    if (!Array.isArray(rules)) {
+      return ['Rules must be a list'];
+    }
+
+    const errors = [];
+    rules.forEach((rule, index) => {
+      const label = `Rule ${index + 1}`;
+      if (!rule.pattern || !String(rule.pattern).trim()) {
+        errors.push(`${label}: domain pattern is required`);
+      } else if (!/^[a-z0-9.*-]+$/i.test(String(rule.pattern).trim())) {
+        errors.push(`${label}: pattern may only contain letters, digits, ".", "-" and "*"`);
+      }
+      if (!RULE_ACTIONS.includes(rule.action)) {
+        errors.push(`${label}: unknown action ${rule.action}`);
+      }
+      if (rule.action === 'keep-only' && (!rule.names || rule.names.length === 0)) {
+        errors.push(`${label}: keep-only needs at least one cookie name to keep`);
+      }
+    });
+    return errors;
+  }
+
+  // "*" matches any run of characters, everything else literally
+  function matchesGlob(pattern, text) {
+    const regex = new RegExp('^' + pattern.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*') + '$');
+    return regex.test(text);
+  }
+
+  // "*.example.com" matches example.com and any subdomain, other "*"s are plain wildcards
+  function matchesDomainPattern(pattern, domain) {
+    if (pattern.startsWith('*.')) {
+      const base = pattern.slice(2);
+      if (domain === base || domain.endsWith('.' + base)) {
+        return true;
+      }
+    }
+    return matchesGlob(pattern, domain);
+  }
+
+  // Decide whether a cookie should be deleted for the given trigger ('set' or 'close')
+  function evaluateRules(cookie, rules, trigger) {
+    const domain = cookie.domain.replace(/^\./, '');
+    const matching = rules.filter(rule => rule.enabled && matchesDomainPattern(rule.pattern, domain));
+
+    // Allow rules always win
+    const allowed = matching.find(rule => rule.action === 'allow' &&
+      (rule.names.length === 0 || rule.names.includes(cookie.name)));
+    if (allowed) {
+      return { remove: false, rule: allowed };
+    }
+
+    for (const rule of matching) {
+      if (rule.action === 'block' || (rule.action === 'keep-only' && !rule.names.includes(cookie.name))) {
+        return { remove: true, rule: rule };
+      }
+      if (trigger === 'close' && rule.action === 'clean-on-close') {
+        return { remove: true, rule: rule };
+      }
+    }
+
+    return { remove: false, rule: null };
+  }
+
+  // Apply block / keep-only rules to a cookie that was just written
+  async function applyRulesToCookie(cookie) {
+    const rules = await getCookieRules();
+    if (rules.length === 0) return;
+
+    const decision = evaluateRules(cookie, rules, 'set');
+    if (decision.remove) {
+      console.log('Rule', decision.rule.pattern, decision.rule.action, 'removing cookie', cookie.name);
+      await removeCookie(cookie);
+    }
+  }
+
+  // A site was closed or navigated away from - run clean-on-close rules once no tab is left on it
+  async function applyCloseRules(hostname) {
+    if (!hostname) return;
+
+    const hasPermission = await checkCookiePermission();
+    if (!hasPermission) return;
+
+    const rules = (await getCookieRules()).filter(rule =>
+      rule.enabled && rule.action === 'clean-on-close' && matchesDomainPattern(rule.pattern, hostname));
+    if (rules.length === 0) return;
+
+    const tabs = await chrome.tabs.query({});
+    const openHosts = tabs.map(tab => tab.url ? extractDomain(tab.url) : null).filter(Boolean);
+
+    for (const rule of rules) {
+      if (openHosts.some(host => matchesDomainPattern(rule.pattern, host))) {
+        continue;
+      }
+
+      const cookies = await getAllCookies({});
+      const doomed = cookies.filter(cookie => {
+        const domain = cookie.domain.replace(/^\./, '');
+        return matchesDomainPattern(rule.pattern, domain) && evaluateRules(cookie, [rule, ...cookieRules], 'close').remove;
+      });
+
+      console.log('Last tab for', rule.pattern, 'closed, removing', doomed.length, 'cookies');
+      const batch = createTrashBatch(`Cleaned on close (${rule.pattern})`);
+      await Promise.all(doomed.map(cookie => removeCookie(cookie, batch)));
+      await saveTrashBatch(batch);
+    }
+  }
+
+  // Two cookies are the same cookie if name, domain, path, partition and store all match
+  function isSameCookie(a, b) {
+    return cookieIdentity(a) === cookieIdentity(b) &&
+      (!a.storeId || !b.storeId || a.storeId === b.storeId);
+  }
+
+  // Check editor input against the rules the browser enforces, so we can say why instead of failing silently
+  function validateCookieInput(input, pageDomain) {
+    const errors = [];
+    if (!input) {
+      return ['No cookie data provided'];
+    }
+
+    const name = input.name || '';
+    const value = input.value || '';
+    const domain = (input.domain || '').replace(/^\./, '').toLowerCase();
+    const path = input.path || '/';
+
+    if (!name) {
+      errors.push('Name is required');
+    } else if (/[()<>@,;:\\"\/\[\]?={}\s\x00-\x1f\x7f]/.test(name)) {
+      errors.push('Name contains characters that are not allowed (spaces, separators or control characters)');
+    }
+
+    if (/[;\x00-\x1f\x7f]/.test(value)) {
+      errors.push('Value must not contain semicolons or control characters');
+    }
+
+    if (name.length + value.length > 4096) {
+      errors.push('Name and value together exceed the 4096 byte limit');
+    }
+
+    if (input.hostOnly) {
+      if (domain && domain !== pageDomain) {
+        errors.push(`Host-only cookie for ${domain} does not match the current site ${pageDomain}`);
+      }
+    } else {
+      if (!domain) {
+        errors.push('Domain is required unless the cookie is host-only');
+      } else if (domain !== pageDomain && !pageDomain.endsWith('.' + domain)) {
+        errors.push(`Domain ${domain} does not match the current site ${pageDomain}`);
+      } else if (!domain.includes('.') && domain !== 'localhost') {
+        errors.push('Domain must not be a top-level domain');
+      }
+    }
+
+    if (!path.startsWith('/')) {
+      errors.push('Path must start with "/"');
+    }
+
+    if (input.expirationDate !== null && input.expirationDate !== undefined) {
+      if (!Number.isFinite(input.expirationDate)) {
+        errors.push('Expiry is not a valid date');
+      } else if (input.expirationDate * 1000 <= Date.now()) {
+        errors.push('Expiry is in the past - delete the cookie instead');
+      }
+    }
+
+    const sameSite = input.sameSite || 'unspecified';
+    if (!['no_restriction', 'lax', 'strict', 'unspecified'].includes(sameSite)) {
+      errors.push(`Unknown SameSite value: ${sameSite}`);
+    } else if (sameSite === 'no_restriction' && !input.secure) {
+      errors.push('SameSite=None requires the Secure flag');
+    }
+
+    const topLevelSite = partitionSite(input);
+    if (topLevelSite) {
+      if (!/^https?:\/\/[^/:]+$/.test(topLevelSite)) {
+        errors.push('Partition must be a top-level site such as https://example.com');
+      }
+      if (!input.secure) {
+        errors.push('Partitioned cookies must be Secure');
+      }
+    }
+
+    if (name.startsWith('__Secure-') && !input.secure) {
+      errors.push('Cookies prefixed with __Secure- must be Secure');
+    }
+
+    if (name.startsWith('__Host-') && (!input.secure || !input.hostOnly || path !== '/')) {
+      errors.push('Cookies prefixed with __Host- must be Secure, host-only and use path "/"');
+    }
+
+    return errors;
+  }
+
+  // Turn validated editor input into chrome.cookies.set() details
+  function buildCookieDetails(input, pageDomain) {
+    const domain = input.hostOnly ? pageDomain : input.domain.replace(/^\./, '');
+    const path = input.path || '/';
+    const details = {
+      url: (input.secure ? 'https://' : 'http://') + domain + path,
+      name: input.name,
+      value: input.value || '',
+      path: path,
+      secure: !!input.secure,
+      httpOnly: !!input.httpOnly,
+      sameSite: input.sameSite || 'unspecified'
+    };
+
+    // Leaving out domain is how the API creates a host-only cookie
+    if (!input.hostOnly) {
+      details.domain = domain;
+    }
+    if (input.expirationDate) {
+      details.expirationDate = input.expirationDate;
+    }
+    if (input.storeId) {
+      details.storeId = input.storeId;
+    }
+    if (partitionSite(input)) {
+      details.partitionKey = { topLevelSite: partitionSite(input) };
+    }
+
+    return details;
+  }
+
+  // Export formats - each one turns a list of chrome.cookies.Cookie into text
+  const COOKIE_EXPORTERS = {
+    // Netscape cookies.txt, as read by curl -b, wget --load-cookies and yt-dlp --cookies
+    netscape: {
+      extension: 'txt',
+      mimeType: 'text/plain',
+      serialize(cookies) {
+        const lines = [
+          '# Netscape HTTP Cookie File',
+          '# Exported by Cookie Viewer Extension',
+          ''
+        ];
+        cookies.forEach(cookie => {
+          const domain = cookie.hostOnly ? cookie.domain : '.' + cookie.domain.replace(/^\./, '');
+          lines.push([
+            (cookie.httpOnly ? '#HttpOnly_' : '') + domain,
+            cookie.hostOnly ? 'FALSE' : 'TRUE',
+            cookie.path,
+            cookie.secure ? 'TRUE' : 'FALSE',
+            cookie.expirationDate ? Math.floor(cookie.expirationDate) : 0,
+            cookie.name,
+            cookie.value
+          ].join('\t'));
+        });
+        return lines.join('\n') + '\n';
+      }
+    },
+
+    // Same shape chrome.cookies.getAll() returns, so it can be imported back as-is
+    json: {
+      extension: 'json',
+      mimeType: 'application/json',
+      serialize(cookies) {
+        return JSON.stringify(cookies, null, 2);
+      }
+    },
+
+    // Cookie objects as they appear in a HAR request/response entry
+    har: {
+      extension: 'har.json',
+      mimeType: 'application/json',
+      serialize(cookies) {
+        return JSON.stringify(cookies.map(cookie => {
+          const harCookie = {
+            name: cookie.name,
+            value: cookie.value,
+            path: cookie.path,
+            domain: cookie.domain,
+            httpOnly: cookie.httpOnly,
+            secure: cookie.secure
+          };
+          if (cookie.expirationDate) {
+            harCookie.expires = new Date(cookie.expirationDate * 1000).toISOString();
+          }
+          return harCookie;
+        }), null, 2);
+      }
+    },
+
+    // Ready to paste into curl -H or Postman
+    header: {
+      extension: 'txt',
+      mimeType: 'text/plain',
+      serialize(cookies, url) {
+        const sent = url ? scopeCookies(cookies, url, 'same-site').filter(cookie => cookie.scope.sent) : cookies;
+        // Browsers put longer paths first
+        sent.sort((a, b) => b.path.length - a.path.length);
+        return 'Cookie: ' + sent.map(cookie => `${cookie.name}=${cookie.value}`).join('; ');
+      }
+    }
+  };
+
+  // Accepts a JSON export (chrome.cookies or HAR shape) or a Netscape cookies.txt file
+  function parseCookieImport(text) {
+    const trimmed = text.trim();
+    if (!trimmed) {
+      throw new Error('Nothing to import');
+    }
+
+    if (trimmed.startsWith('[') || trimmed.startsWith('{')) {
+      const data = JSON.parse(trimmed);
+      const list = Array.isArray(data) ? data : data.cookies;
+      if (!Array.isArray(list)) {
+        throw new Error('JSON must be an array of cookies or an object with a "cookies" array');
+      }
+      return list.map(normalizeImportedCookie);
+    }
+
+    return trimmed.split(/\r?\n/)
+      .filter(line => line.trim() && (!line.startsWith('#') || line.startsWith('#HttpOnly_')))
+      .map(line => {
+        const fields = line.split('\t');
+        if (fields.length < 7) {
+          throw new Error(`Malformed cookies.txt line: ${line.slice(0, 40)}`);
+        }
+
+        const httpOnly = fields[0].startsWith('#HttpOnly_');
+        const domain = httpOnly ? fields[0].slice('#HttpOnly_'.length) : fields[0];
+        const expiry = Number(fields[4]);
+
+        return normalizeImportedCookie({
+          domain: domain,
+          hostOnly: fields[1].toUpperCase() !== 'TRUE',
+          path: fields[2],
+          secure: fields[3].toUpperCase() === 'TRUE',
+          expirationDate: expiry > 0 ? expiry : null,
+          name: fields[5],
+          value: fields.slice(6).join('\t'),
+          httpOnly: httpOnly
+        });
+      });
+  }
+
+  // Map whatever shape we got onto the editor input shape used by validateCookieInput
+  function normalizeImportedCookie(raw) {
+    const sameSiteAliases = {
+      none: 'no_restriction',
+      no_restriction: 'no_restriction',
+      lax: 'lax',
+      strict: 'strict',
+      unspecified: 'unspecified'
+    };
+    const domain = String(raw.domain || '');
+    let expirationDate = raw.expirationDate || null;
+
+    // HAR uses an ISO date string instead of epoch seconds
+    if (!expirationDate && raw.expires) {
+      expirationDate = Math.floor(new Date(raw.expires).getTime() / 1000);
+    }
+
+    return {
+      name: String(raw.name || ''),
+      value: String(raw.value || ''),
+      domain: domain,
+      hostOnly: raw.hostOnly !== undefined ? !!raw.hostOnly : !domain.startsWith('.'),
+      path: raw.path || '/',
+      secure: !!raw.secure,
+      httpOnly: !!raw.httpOnly,
+      sameSite: sameSiteAliases[String(raw.sameSite || 'unspecified').toLowerCase()] || String(raw.sameSite),
+      expirationDate: expirationDate,
+      partitionKey: partitionSite(raw) ? { topLevelSite: partitionSite(raw) } : undefined
+    };
+  }
+
+  async function checkWebRequestPermission() {
+    return new Promise(resolve => {
+      chrome.permissions.contains({ permissions: ['webRequest'] }, resolve);
+    });
+  }
+
+  // webRequest listeners for tracing. Chrome only exposes Cookie / Set-Cookie with "extraHeaders";
+  // Firefox rejects that option, so retry without it there.
+  function setupRequestTracing() {
+    if (!chrome.webRequest || chrome.webRequest.onBeforeSendHeaders.hasListener(traceRequestHeaders)) {
+      return;
+    }
+
+    const filter = { urls: ['<all_urls>'] };
+    const addListener = (event, listener, extraInfo) => {
+      try {
+        event.addListener(listener, filter, [...extraInfo, 'extraHeaders']);
+      } catch (error) {
+        event.addListener(listener, filter, extraInfo);
+      }
+    };
+
+    addListener(chrome.webRequest.onBeforeSendHeaders, traceRequestHeaders, ['requestHeaders']);
+    addListener(chrome.webRequest.onHeadersReceived, traceResponseHeaders, ['responseHeaders']);
+    chrome.webRequest.onCompleted.addListener(verifySetCookies, filter);
+    chrome.webRequest.onErrorOccurred.addListener(verifySetCookies, filter);
+    console.log('Request tracing listeners set up');
+  }
+
+  function recordTraceEvent(tabId, event) {
+    const events = requestTraces.get(tabId);
+    if (!events) return;
+
+    events.push({ time: Date.now(), ...event });
+    if (events.length > TRACE_LIMIT) {
+      events.splice(0, events.length - TRACE_LIMIT);
+    }
+  }
+
+  // Request context shared by every event recorded for one request
+  function describeTracedRequest(details) {
+    return {
+      url: details.url,
+      method: details.method,
+      resourceType: details.type,
+      initiator: details.initiator || '',
+      crossSite: isCrossSiteRequest(details)
+    };
+  }
+
+  // Cookies that went out in the Cookie header, plus jar cookies matching the URL that were held back
+  async function traceRequestHeaders(details) {
+    if (!requestTraces.has(details.tabId)) return;
+
+    const header = (details.requestHeaders || []).find(h => h.name.toLowerCase() === 'cookie');
+    const sentNames = new Set((header && header.value ? header.value.split(';') : [])
+      .map(pair => pair.split('=')[0].trim())
+      .filter(Boolean));
+
+    const request = describeTracedRequest(details);
+    let jarCookies = [];
+    try {
+      jarCookies = (await getAllCookies({ url: details.url }))
+        .filter(cookie => isInTabPartition(cookie, details.tabId));
+    } catch (error) {
+      console.error('Trace jar lookup failed:', error);
+    }
+
+    sentNames.forEach(name => {
+      const cookie = jarCookies.find(c => c.name === name);
+      recordTraceEvent(details.tabId, {
+        ...request,
+        direction: 'sent',
+        name: name,
+        domain: cookie ? cookie.domain.replace(/^\./, '') : ''
+      });
+    });
+
+    jarCookies
+      .filter(cookie => !sentNames.has(cookie.name))
+      .forEach(cookie => {
+        recordTraceEvent(details.tabId, {
+          ...request,
+          direction: 'blocked',
+          name: cookie.name,
+          domain: cookie.domain.replace(/^\./, ''),
+          reason: explainWithheldCookie(cookie, details, request.crossSite)
+        });
+      });
+  }
+
+  // Set-Cookie headers on the response; whether the browser kept them is checked when the request ends
+  function traceResponseHeaders(details) {
+    if (!requestTraces.has(details.tabId)) return;
+
+    const request = describeTracedRequest(details);
+    const host = new URL(details.url).hostname;
+
+    (details.responseHeaders || [])
+      .filter(h => h.name.toLowerCase() === 'set-cookie' && h.value)
+      // Firefox folds multiple Set-Cookie headers into one value separated by newlines
+      .flatMap(h => h.value.split('\n'))
+      .forEach(line => {
+        const parsed = parseSetCookieHeader(line);
+        if (!parsed) return;
+
+        const event = {
+          ...request,
+          direction: 'set',
+          name: parsed.name,
+          domain: (parsed.attributes.domain || host).replace(/^\./, ''),
+          header: line.length > 300 ? line.slice(0, 300) + '…' : line
+        };
+        recordTraceEvent(details.tabId, event);
+
+        if (!pendingSetCookies.has(details.requestId)) {
+          pendingSetCookies.set(details.requestId, []);
+        }
+        pendingSetCookies.get(details.requestId).push({ event: event, parsed: parsed, tabId: details.tabId });
+      });
+  }
+
+  // A Set-Cookie that didn't make it into the jar was rejected - record it with the likely reason
+  async function verifySetCookies(details) {
+    const pending = pendingSetCookies.get(details.requestId);
+    if (!pending) return;
+    pendingSetCookies.delete(details.requestId);
+
+    for (const { event, parsed, tabId } of pending) {
+      if (isDeletingSetCookie(parsed)) continue;
+
+      const stored = await getAllCookies({ url: event.url, name: parsed.name });
+      if (stored.some(cookie => cookie.domain.replace(/^\./, '') === event.domain)) continue;
+
+      recordTraceEvent(tabId, {
+        url: event.url,
+        method: event.method,
+        resourceType: event.resourceType,
+        initiator: event.initiator,
+        crossSite: event.crossSite,
+        direction: 'rejected',
+        name: event.name,
+        domain: event.domain,
+        header: event.header,
+        reason: explainRejectedSetCookie(parsed, event)
+      });
+    }
+  }
+
+  // "name=value; Path=/; Secure" -> { name, value, attributes: { path: '/', secure: true } }
+  function parseSetCookieHeader(line) {
+    const parts = line.split(';');
+    const separator = parts[0].indexOf('=');
+    if (separator < 0) return null;
+
+    const attributes = {};
+    parts.slice(1).forEach(part => {
+      const [key, ...rest] = part.split('=');
+      const name = key.trim().toLowerCase();
+      if (name) {
+        attributes[name] = rest.length ? rest.join('=').trim() : true;
+      }
+    });
+
+    return {
+      name: parts[0].slice(0, separator).trim(),
+      value: parts[0].slice(separator + 1).trim(),
+      attributes: attributes
+    };
+  }
+
+  // Max-Age <= 0 or an Expires in the past means the server is deleting the cookie, not setting it
+  function isDeletingSetCookie(parsed) {
+    const maxAge = parsed.attributes['max-age'];
+    if (maxAge !== undefined && maxAge !== true) {
+      return Number(maxAge) <= 0;
+    }
+    const expires = parsed.attributes.expires;
+    return typeof expires === 'string' && Date.parse(expires) < Date.now();
+  }
+
+  // Best guess at why the browser didn't store a Set-Cookie. The browser doesn't tell extensions,
+  // so this re-checks the rules it applies.
+  function explainRejectedSetCookie(parsed, event) {
+    const attributes = parsed.attributes;
+    const sameSite = typeof attributes.samesite === 'string' ? attributes.samesite.toLowerCase() : '';
+    const isHttps = event.url.startsWith('https:');
+    const host = new URL(event.url).hostname;
+
+    if (sameSite === 'none' && !attributes.secure) return 'SameSite=None without Secure';
+    if (attributes.secure && !isHttps) return 'Secure cookie set over HTTP';
+    if (parsed.name.startsWith('__Host-') && (!attributes.secure || attributes.domain || attributes.path !== '/')) {
+      return '__Host- prefix requires Secure, Path=/ and no Domain';
+    }
+    if (parsed.name.startsWith('__Secure-') && !attributes.secure) return '__Secure- prefix requires Secure';
+    if (typeof attributes.domain === 'string') {
+      const domain = attributes.domain.replace(/^\./, '').toLowerCase();
+      if (host !== domain && !host.endsWith('.' + domain)) return `Domain=${attributes.domain} does not match ${host}`;
+    }
+    if (event.crossSite && sameSite !== 'none') {
+      return `Cross-site response without SameSite=None (SameSite=${sameSite || 'unspecified, treated as Lax'})`;
+    }
+    if (event.crossSite) return 'Third-party cookies blocked by browser settings';
+    return 'Rejected by the browser (invalid attributes or blocked by settings)';
+  }
+
+  // Best guess at why a jar cookie matching the URL was left out of the Cookie header
+  function explainWithheldCookie(cookie, details, crossSite) {
+    const topLevelNavigation = details.type === 'main_frame' && details.method === 'GET';
+
+    if (crossSite && cookie.sameSite === 'strict') return 'SameSite=Strict cookie withheld from a cross-site request';
+    if (crossSite && cookie.sameSite === 'lax' && !topLevelNavigation) {
+      return 'SameSite=Lax cookie only sent on top-level GET navigations';
+    }
+    if (crossSite && cookie.sameSite === 'unspecified' && !topLevelNavigation) {
+      return 'No SameSite attribute - treated as Lax for cross-site requests';
+    }
+    if (crossSite) return 'Third-party cookies blocked by browser settings';
+    if (cookie.expirationDate && cookie.expirationDate * 1000 < Date.now()) return 'Expired';
+    return 'Not sent (cookie may have been set after the request started)';
+  }
+
+  // Rough "same site" check on the last two host labels - there's no public suffix list here
+  function siteOf(hostname) {
+    return hostname.split('.').slice(-2).join('.');
+  }
+
+  function isCrossSiteRequest(details) {
+    if (!details.initiator || details.initiator === 'null') return false;
+    try {
+      return siteOf(new URL(details.initiator).hostname) !== siteOf(new URL(details.url).hostname);
+    } catch (error) {
+      return false;
+    }
+  }
+
+  // Partitioned cookies are only sent inside their own top-level site
+  function isInTabPartition(cookie, tabId) {
+    const site = partitionSite(cookie);
+    if (!site) return true;
+    const tabHost = tabHostnames.get(tabId) || '';
+    const siteHost = site.replace(/^https?:\/\//, '');
+    return tabHost === siteHost || tabHost.endsWith('.' + siteHost);
+  }
+
+  // Real-time cookie change monitoring - only set up if permission exists
+  async function setupCookieListener() {
+    try {
+      const hasPermission = await checkCookiePermission();
+      if (hasPermission && chrome.cookies && chrome.cookies.onChanged) {
+        // Remove existing listener to prevent duplicates
+        if (chrome.cookies.onChanged.hasListener(handleCookieChange)) {
+          chrome.cookies.onChanged.removeListener(handleCookieChange);
+        }
+        chrome.cookies.onChanged.addListener(handleCookieChange);
+        console.log('Cookie change listener set up');
+      }
+    } catch (error) {
+      console.error('Failed to setup cookie listener:', error);
+    }
+  }
+
+  // Handle cookie changes
+  async function handleCookieChange(changeInfo) {
+    try {
+      const hasPermission = await checkCookiePermission();
+      if (!hasPermission) return;
+
+      const cookie = changeInfo.cookie;
+      const cookieDomain = cookie.domain.replace(/^\./, '');
+
+      // Record before notifying so an open History tab sees the entry when it refreshes
+      await recordCookieChange(changeInfo);
+      await checkWatchedCookie(changeInfo);
+      await restoreProtectedCookie(changeInfo);
+
+      if (!changeInfo.removed) {
+        await recordConsentEvent(cookie);
+        await applyRulesToCookie(cookie);
+      }
+
+      // DevTools panels only get a nudge - they refetch for whatever the inspected tab shows now
+      for (const [port, tabId] of devtoolsPanels.entries()) {
+        const hostname = tabHostnames.get(tabId);
+        if (hostname && isDomainRelated(hostname, cookieDomain)) {
+          port.postMessage({ type: 'COOKIES_CHANGED', cause: changeInfo.cause, removed: changeInfo.removed });
+        }
+      }
+
+      // Notify all relevant tabs about cookie changes
+      for (const [tabId, domain] of activeTabDomains.entries()) {
+        const storeId = tabStoreSelection.get(tabId);
+        if (storeId && cookie.storeId !== storeId) {
+          continue;
+        }
+
+        if (isDomainRelated(domain, cookieDomain)) {
+          try {
+            const tab = await chrome.tabs.get(tabId);
+            const updatedCookies = await getScopedCookies(domain, tab.url, storeId, tabSameSiteContext.get(tabId));
+
+            chrome.tabs.sendMessage(tabId, {
+              type: 'REAL_TIME_COOKIE_UPDATE',
+              cookies: updatedCookies,
+              domain: domain,
+              changeInfo: {
+                cause: changeInfo.cause,
+                removed: changeInfo.removed
+              }
+            }).catch(error => {
+              // Tab might be closed, remove from active domains
+              console.log('Tab closed, removing from active domains:', tabId);
+              activeTabDomains.delete(tabId);
+            });
+          } catch (error) {
+            console.error('Error sending real-time update:', error);
+            activeTabDomains.delete(tabId);
+          }
+        }
+      }
+    } catch (error) {
+      console.error('Cookie change listener error:', error);
+    }
+  }
+
+  // Append a change to the bounded history log in chrome.storage
+  function recordCookieChange(changeInfo) {
+    const cookie = changeInfo.cookie;
+    const identity = cookie.storeId + '|' + cookieIdentity(cookie);
+
+    // First half of an overwrite - wait for the new value before logging anything
+    if (changeInfo.removed && changeInfo.cause === 'overwrite') {
+      pendingOverwrites.set(identity, cookie.value);
+      return Promise.resolve();
+    }
+
+    const entry = {
+      timestamp: Date.now(),
+      name: cookie.name,
+      domain: cookie.domain,
+      path: cookie.path,
+      storeId: cookie.storeId,
+      cause: changeInfo.cause,
+      removed: changeInfo.removed,
+      oldValue: changeInfo.removed ? cookie.value : null,
+      newValue: changeInfo.removed ? null : cookie.value
+    };
+
+    if (!changeInfo.removed && pendingOverwrites.has(identity)) {
+      entry.cause = 'overwrite';
+      entry.oldValue = pendingOverwrites.get(identity);
+      pendingOverwrites.delete(identity);
+    }
+
+    historyWriteQueue = historyWriteQueue.then(async () => {
+      const history = await storageGet(HISTORY_KEY, []);
+      history.push(entry);
+      await storageSet(HISTORY_KEY, history.slice(-HISTORY_LIMIT));
+    }).catch(error => {
+      console.error('Failed to record cookie change:', error);
+    });
+
+    return historyWriteQueue;
+  }
+
+  // Loose match used for real-time updates: same domain, or one is a parent of the other
+  function isDomainRelated(domain, cookieDomain) {
+    return domain === cookieDomain || cookieDomain.includes(domain) || domain.includes(cookieDomain);
+  }
+
+  // Clean up when tabs are closed
   chrome.tabs.onRemoved.addListener((tabId) => {
     activeTabDomains.delete(tabId);
+    tabStoreSelection.delete(tabId);
+    tabSameSiteContext.delete(tabId);
+    requestTraces.delete(tabId);
+    loadConsentRecordings().then(() => {
+      if (consentRecordings.delete(tabId)) {
+        return saveConsentRecordings();
+      }
+    }).catch(error => console.error('Failed to drop consent recording:', error));
+    // Cookie-stripping session rules use the tab id as rule id
+    chrome.declarativeNetRequest.getSessionRules().then(rules => {
+      if (rules.some(rule => rule.id === tabId)) {
+        return chrome.declarativeNetRequest.updateSessionRules({ removeRuleIds: [tabId] });
+      }
+    }).catch(error => console.error('Failed to drop cookie-stripping rule:', error));
+
+    const hostname = tabHostnames.get(tabId);
+    tabHostnames.delete(tabId);
+    applyCloseRules(hostname).catch(error => console.error('Close rules error:', error));
   });
 
   // Clean up when tabs are updated (e.g., navigated to different domain)
@@ -356,20 +3436,320 @@ async function getAllRelevantCookies(domain) {
         activeTabDomains.delete(tabId);
       }
     }
+
+    // Leaving a site counts as closing it for clean-on-close rules
+    if (changeInfo.url) {
+      const previous = tabHostnames.get(tabId);
+      const hostname = extractDomain(changeInfo.url);
+      tabHostnames.set(tabId, hostname);
+      if (previous && previous !== hostname) {
+        applyCloseRules(previous).catch(error => console.error('Close rules error:', error));
+      }
+    }
+  });
+
+  // Keyboard shortcuts from manifest.json "commands" - overlay ones are forwarded to the tab's content script,
+  // the rest run here against the active tab
+  chrome.commands.onCommand.addListener((command, tab) => {
+    handleCommand(command, tab).catch(error => console.error('Command error:', command, error));
+  });
+
+  async function handleCommand(command, tab) {
+    console.log('Keyboard command:', command);
+    if (!tab || !tab.url || !/^https?:/.test(tab.url)) {
+      notifyCommandResult('Cookie Viewer', 'Shortcuts only work on http(s) pages.');
+      return;
+    }
+
+    if (command === 'toggle-overlay' || command === 'show-cookies') {
+      await chrome.tabs.sendMessage(tab.id, { type: 'RUN_COMMAND', command: command }).catch(error => {
+        // Tabs opened before the extension was installed or reloaded have no content script
+        console.log('Could not reach tab', tab.id, ':', error.message);
+        notifyCommandResult('Cookie Viewer', 'Reload the page to use the overlay here.');
+      });
+      return;
+    }
+
+    if (!(await checkCookiePermission())) {
+      notifyCommandResult('Cookie Viewer', 'Grant cookie access from the overlay first.');
+      return;
+    }
+
+    switch (command) {
+      case 'copy-cookie-header':
+        await copyCookieHeader(tab, tab.url);
+        break;
+
+      case 'clear-site-cookies':
+        await clearSiteCookies(tab);
+        break;
+
+      case 'restore-last-snapshot':
+        await restoreLastSnapshot(tab);
+        break;
+
+      default:
+        console.warn('Unknown command:', command);
+    }
+  }
+
+  // Build the Cookie header a request for url would carry and have the tab's content script copy it.
+  // url is the tab's own page, or a link on it - following a link to another site is a cross-site navigation.
+  async function copyCookieHeader(tab, url) {
+    const sameSiteContext = siteOf(extractDomain(url)) === siteOf(extractDomain(tab.url)) ? 'same-site' : 'cross-site-navigation';
+    const response = await runHandler(handleFetchCookies,
+      { url: url, storeId: tabStoreSelection.get(tab.id), sameSiteContext: sameSiteContext }, {});
+    if (response.type !== 'COOKIES_DATA') {
+      notifyCommandResult('Cookie header', response.message || 'Failed to read cookies');
+      return;
+    }
+
+    // Already scoped for the real context above - passing the URL would re-scope them as same-site
+    const header = COOKIE_EXPORTERS.header.serialize(response.cookies.filter(cookie => cookie.scope.sent));
+    // Service workers have no clipboard - the page's content script writes it
+    const result = await chrome.tabs.sendMessage(tab.id, { type: 'RUN_COMMAND', command: 'copy-cookie-header', text: header })
+      .catch(error => ({ copied: false, error: error.message }));
+    notifyCommandResult('Cookie header', result && result.copied
+      ? `Copied ${header.length - 'Cookie: '.length} characters for ${url}`
+      : `Could not copy: ${(result && result.error) || 'page did not respond'}`);
+  }
+
+  // Clears what the overlay lists - the domain, its subdomains and parents - as if the overlay asked with the
+  // default scope, so an open overlay shows the result and its Undo toast. Sibling subdomains are never touched.
+  async function clearSiteCookies(tab) {
+    const domain = extractDomain(tab.url);
+    const response = await runHandler(handleClearDomainCookies,
+      { domain: domain, url: tab.url, storeId: tabStoreSelection.get(tab.id), scope: 'relevant' }, { tab: tab });
+    if (response.type !== 'COOKIES_CLEARED') {
+      notifyCommandResult('Clear cookies', response.message || 'Failed to clear cookies');
+      return;
+    }
+    notifyCommandResult(`Cleared ${response.removed} cookies`,
+      `${domain}${response.protected ? `, kept ${response.protected} protected` : ''}`,
+      response.trashBatchId ? UNDO_NOTIFICATION_PREFIX + response.trashBatchId : null);
+  }
+
+  async function restoreLastSnapshot(tab) {
+    const domain = extractDomain(tab.url);
+    const snapshots = Object.values((await storageGet(SNAPSHOTS_KEY, {}))[domain] || {});
+    if (snapshots.length === 0) {
+      notifyCommandResult('Restore snapshot', `No snapshots saved for ${domain}`);
+      return;
+    }
+
+    const latest = snapshots.reduce((a, b) => (b.createdAt > a.createdAt ? b : a));
+    const response = await runHandler(handleRestoreSnapshot,
+      { domain: domain, url: tab.url, storeId: tabStoreSelection.get(tab.id), name: latest.name }, { tab: tab });
+    notifyCommandResult('Restore snapshot', response.type === 'SNAPSHOT_RESTORED'
+      ? `Restored "${response.name}": ${response.restored} cookies${response.skipped.length ? `, ${response.skipped.length} skipped` : ''}`
+      : response.message || 'Failed to restore snapshot');
+  }
+
+  // Right-click menu on pages and links. Menus persist across service worker restarts, so they're
+  // only (re)built on install / update.
+  const CONTEXT_MENU_ITEMS = [
+    { id: 'show-site-cookies', title: 'Show cookies for this domain', contexts: ['page', 'frame', 'selection'] },
+    { id: 'show-link-cookies', title: 'Show cookies that would be sent to this link', contexts: ['link'] },
+    { id: 'copy-cookie-header', title: 'Copy cookies as header', contexts: ['page', 'frame', 'selection', 'link'] },
+    { id: 'clear-site-cookies', title: 'Clear cookies for this domain', contexts: ['page', 'frame', 'selection'] },
+    { id: 'open-link-without-cookies', title: 'Open this link without cookies', contexts: ['link'] },
+    { id: 'open-link-incognito', parentId: 'open-link-without-cookies', title: 'In an incognito window', contexts: ['link'] },
+    { id: 'open-link-stripped', parentId: 'open-link-without-cookies', title: 'In a new tab with cookies stripped', contexts: ['link'] }
+  ];
+
+  function setupContextMenus() {
+    chrome.contextMenus.removeAll(() => {
+      CONTEXT_MENU_ITEMS.forEach(item => {
+        chrome.contextMenus.create({ ...item, documentUrlPatterns: ['http://*/*', 'https://*/*'] });
+      });
+    });
+  }
+
+  chrome.contextMenus.onClicked.addListener((info, tab) => {
+    handleContextMenuClick(info, tab).catch(error => console.error('Context menu error:', info.menuItemId, error));
+  });
+
+  async function handleContextMenuClick(info, tab) {
+    console.log('Context menu:', info.menuItemId, info.linkUrl || '');
+
+    switch (info.menuItemId) {
+      case 'show-site-cookies':
+        // Same as the "show cookies" shortcut - opens the overlay if needed
+        await handleCommand('show-cookies', tab);
+        return;
+      case 'open-link-incognito':
+        await openLinkIncognito(info.linkUrl);
+        return;
+      case 'open-link-stripped':
+        await openLinkStripped(info.linkUrl, tab);
+        return;
+    }
+
+    if (!(await checkCookiePermission())) {
+      notifyCommandResult('Cookie Viewer', 'Grant cookie access from the overlay first.');
+      return;
+    }
+
+    switch (info.menuItemId) {
+      case 'show-link-cookies':
+        await showLinkCookies(info.linkUrl, tab);
+        break;
+      case 'copy-cookie-header':
+        await copyCookieHeader(tab, info.linkUrl || tab.url);
+        break;
+      case 'clear-site-cookies':
+        await clearSiteCookies(tab);
+        break;
+      default:
+        console.warn('Unknown context menu item:', info.menuItemId);
+    }
+  }
+
+  // Scope the link's site cookies against the link URL and hand them to the page's overlay to list
+  async function showLinkCookies(linkUrl, tab) {
+    if (!/^https?:/.test(linkUrl || '')) {
+      notifyCommandResult('Link cookies', 'Only http(s) links send cookies.');
+      return;
+    }
+
+    const sameSiteContext = siteOf(extractDomain(linkUrl)) === siteOf(extractDomain(tab.url)) ? 'same-site' : 'cross-site-navigation';
+    const response = await runHandler(handleFetchCookies,
+      { url: linkUrl, storeId: tabStoreSelection.get(tab.id), sameSiteContext: sameSiteContext }, {});
+    if (response.type !== 'COOKIES_DATA') {
+      notifyCommandResult('Link cookies', response.message || 'Failed to read cookies');
+      return;
+    }
+
+    await chrome.tabs.sendMessage(tab.id, {
+      type: 'RUN_COMMAND',
+      command: 'show-link-cookies',
+      url: linkUrl,
+      sameSiteContext: sameSiteContext,
+      cookies: response.cookies
+    }).catch(error => {
+      console.log('Could not reach tab', tab.id, ':', error.message);
+      const sent = response.cookies.filter(cookie => cookie.scope.sent);
+      notifyCommandResult('Link cookies', `${sent.length} cookies would be sent to ${linkUrl}`);
+    });
+  }
+
+  // Incognito has its own empty cookie jar, so the link opens with no cookies at all
+  async function openLinkIncognito(linkUrl) {
+    try {
+      await chrome.windows.create({ url: linkUrl, incognito: true });
+    } catch (error) {
+      console.error('Could not open incognito window:', error);
+      notifyCommandResult('Open without cookies', `Incognito is not available: ${error.message}`);
+    }
+  }
+
+  // A new tab whose requests go out without Cookie headers and whose responses can't set any.
+  // The session rule is scoped to that tab and dropped when it closes; the jar itself is untouched.
+  async function openLinkStripped(linkUrl, openerTab) {
+    const tab = await chrome.tabs.create({ url: 'about:blank', index: openerTab ? openerTab.index + 1 : undefined });
+    await chrome.declarativeNetRequest.updateSessionRules({
+      removeRuleIds: [tab.id],
+      addRules: [{
+        id: tab.id,
+        priority: 1,
+        action: {
+          type: 'modifyHeaders',
+          requestHeaders: [{ header: 'cookie', operation: 'remove' }],
+          responseHeaders: [{ header: 'set-cookie', operation: 'remove' }]
+        },
+        condition: {
+          tabIds: [tab.id],
+          // Leaving resourceTypes out would skip main_frame
+          resourceTypes: ['main_frame', 'sub_frame', 'stylesheet', 'script', 'image', 'font', 'object',
+            'xmlhttprequest', 'ping', 'media', 'websocket', 'other']
+        }
+      }]
+    });
+    await chrome.tabs.update(tab.id, { url: linkUrl });
+    console.log('Opened', linkUrl, 'without cookies in tab', tab.id);
+  }
+
+  // Call a message handler directly and resolve with what it would have sent back
+  function runHandler(handler, message, sender) {
+    return new Promise(resolve => {
+      handler(message, sender, resolve);
+    });
+  }
+
+  // Notifications whose id starts with this carry an Undo button for that trash batch
+  const UNDO_NOTIFICATION_PREFIX = 'undo:';
+
+  function notifyCommandResult(title, message, notificationId) {
+    const options = { type: 'basic', iconUrl: 'icon.png', title: title, message: message };
+    if (notificationId) {
+      options.buttons = [{ title: 'Undo' }];
+    }
+    chrome.notifications.create(notificationId || `command-${Date.now()}`, options);
+  }
+
+  chrome.notifications.onButtonClicked.addListener((notificationId) => {
+    if (!notificationId.startsWith(UNDO_NOTIFICATION_PREFIX)) return;
+
+    const batchId = notificationId.slice(UNDO_NOTIFICATION_PREFIX.length);
+    runHandler(handleRestoreFromTrash, { batchId: batchId }, {}).then(response => {
+      chrome.notifications.clear(notificationId);
+      notifyCommandResult('Undo', response.type === 'TRASH_RESTORED'
+        ? `Restored ${response.restored} cookies${response.failed.length ? `, ${response.failed.length} failed` : ''}`
+        : response.message || 'Failed to restore cookies');
+    });
+  });
+
+  // Expiry warnings for watched cookies
+  chrome.alarms.onAlarm.addListener((alarm) => {
+    handleExpiryAlarm(alarm).catch(error => console.error('Expiry alarm error:', error));
+  });
+
+  // DevTools panels keep a port open for change notifications while they are visible
+  chrome.runtime.onConnect.addListener((port) => {
+    if (port.name !== 'devtools-panel') return;
+
+    port.onMessage.addListener((message) => {
+      if (message.type === 'INSPECT_TAB') {
+        devtoolsPanels.set(port, message.tabId);
+        // Make sure the cookie listener is running even if no overlay was ever opened
+        setupCookieListener();
+      }
+    });
+    port.onDisconnect.addListener(() => {
+      devtoolsPanels.delete(port);
+    });
+  });
+
+  // Seed tab hostnames - the service worker may have been restarted with tabs already open
+  chrome.tabs.query({}).then(tabs => {
+    tabs.forEach(tab => {
+      if (tab.url) {
+        tabHostnames.set(tab.id, extractDomain(tab.url));
+      }
+    });
   });
 
+  // Register the cookie listener synchronously whenever the worker starts (chrome.cookies only exists once
+  // the permission is granted), so a cookie change can wake it - watched cookies need that
+  if (chrome.cookies && chrome.cookies.onChanged && !chrome.cookies.onChanged.hasListener(handleCookieChange)) {
+    chrome.cookies.onChanged.addListener(handleCookieChange);
+  }
+
   // Handle extension startup
   chrome.runtime.onStartup.addListener(async () => {
     console.log('Cookie Viewer Extension started');
     activeTabDomains.clear();
     // Set up cookie listener if we already have permission
     await setupCookieListener();
+    // Badge text doesn't survive a browser restart
+    await updateWatchBadge(await storageGet(WATCH_ALERTS_KEY, []));
   });
 
   // Handle extension installation
   chrome.runtime.onInstalled.addListener(async (details) => {
     console.log('Cookie Viewer Extension installed:', details.reason);
     activeTabDomains.clear();
+    setupContextMenus();
     // Set up cookie listener if we already have permission
     await setupCookieListener();
   });
@@ -5,24 +5,109 @@
   let currentDomain = null;
   let overlayVisible = false;
   let cookiesActivelyRequested = false; // Track if user actually clicked to see cookies
+  let allCookies = []; // Everything the background script last sent for this domain
+  let displayedCookies = []; // Cookies currently rendered after filtering, indexed by data-index
+  let cookieSort = { key: 'name', ascending: true };
+  let currentStoreId = null; // Cookie store shown in the overlay, null until stores are loaded
+  const decodedViewKeys = new Set(); // Cookies the user switched to the decoded view
+  const tracedViewKeys = new Set(); // Cookies whose request trace is expanded
+  let requestTracing = false; // Whether the background script is recording requests for this tab
+  let trackerListInfo = null; // Source/version of the tracker list the background classifies with
+  let consentReport = null; // Latest consent verification report, kept for export
+  let watchedKeys = new Set(); // cookieKey() of cookies with an exact watch
+  let watchState = { watches: [], alerts: [] }; // Last WATCHED_COOKIES response, for the Watched tab
+  let protectedKeys = new Set(); // protectionKey() of cookies pinned against changes
+  let protectionState = { cookies: [], log: [] }; // Last PROTECTED_COOKIES response, for the Protected tab
+  let trashBatches = []; // Last TRASH response, for the Trash tab
+  let undoToastTimer = null;
+  let showCookiesWhenReady = false; // "Show cookies" shortcut opened the overlay - list them once permission is confirmed
+  let deferredCookieUpdate = null; // Real-time update held back while an editor is open
+  let pendingImport = []; // Cookies from the last import preview that passed validation
+  let historyEntries = []; // Last history loaded for this domain, filtered client-side
+  let overlayHost = null; // Element in the page that carries the shadow root
+  let overlayRoot = null; // Closed shadow root - only reachable through this reference
+  let previouslyFocused = null; // Page element to refocus when the overlay closes
+  let overlayLayout = { mode: 'float' }; // Dock mode, position and size for this site
+  let layoutSaveTimer = null;
+
+  // chrome.storage.local key for per-site overlay position/size
+  const LAYOUT_KEY = 'overlayLayouts';
+
+  // Cookie classifications from the background script, in display order
+  const COOKIE_CATEGORIES = {
+    'first-party': 'First-party',
+    'parent-domain': 'Parent domain',
+    'analytics': 'Analytics',
+    'advertising': 'Advertising',
+    'functional': 'Functional'
+  };
+
+  // Expiry actions offered per cookie and for all shown cookies - value is "type:seconds"
+  const EXPIRY_ACTIONS = [
+    { value: 'extend:3600', label: '+1 hour' },
+    { value: 'extend:86400', label: '+1 day' },
+    { value: 'extend:604800', label: '+7 days' },
+    { value: 'extend:2592000', label: '+30 days' },
+    { value: 'shorten:3600', label: '−1 hour' },
+    { value: 'shorten:86400', label: '−1 day' },
+    { value: 'session:0', label: 'Make session cookie' },
+    { value: 'persistent:2592000', label: 'Make persistent (30 days)' }
+  ];
+
+  // Browser and server limits used by the size analysis
+  const COOKIE_BYTE_LIMIT = 4096; // name + value, per cookie (RFC 6265 minimum, enforced by all major browsers)
+  const COOKIES_PER_DOMAIN_LIMIT = 180; // Chrome evicts beyond this per domain
+  const HEADER_BUDGETS = [
+    { bytes: 8190, effect: '400 Bad Request on Apache / nginx defaults (8 KB per header line)' },
+    { bytes: 16384, effect: '431 Request Header Fields Too Large on Node.js, IIS and most CDNs (16 KB)' }
+  ];
+
+  // Request contexts "sent to this URL" can be evaluated for - the SameSite rules differ per context
+  const SAME_SITE_CONTEXTS = {
+    'same-site': 'Same-site request',
+    'cross-site-navigation': 'Cross-site navigation',
+    'cross-site-subresource': 'Cross-site subresource'
+  };
+
+  // What "Clear Cookies" removes
+  const CLEAR_SCOPES = {
+    relevant: 'This domain, its subdomains and parents',
+    sent: 'Sent to this URL',
+    host: 'Set on this host only'
+  };
+
+  // Mount a host element with a closed shadow root so page CSS can't reach the overlay
+  // and our stylesheet can't leak into the page
+  function mountOverlayHost() {
+    overlayHost = document.createElement('div');
+    overlayHost.id = 'cookie-extension-host';
+    overlayRoot = overlayHost.attachShadow({ mode: 'closed' });
 
-  // Safely inject my custom CSS without conflicts
-  function injectStyles() {
-    if (document.getElementById('cookie-extension-styles')) return;
-    
     const link = document.createElement('link');
-    link.id = 'cookie-extension-styles';
     link.rel = 'stylesheet';
-    link.type = 'text/css';
     link.href = chrome.runtime.getURL('styles.css');
-    document.head.appendChild(link);
+    overlayRoot.appendChild(link);
+
+    document.documentElement.appendChild(overlayHost);
+  }
+
+  // Page-level document lookups can't see inside the closed shadow root, so everything goes through these
+  function getElement(id) {
+    return overlayRoot ? overlayRoot.getElementById(id) : null;
+  }
+
+  function queryOverlay(selector) {
+    return overlayRoot ? overlayRoot.querySelector(selector) : null;
+  }
+
+  function queryOverlayAll(selector) {
+    return overlayRoot ? overlayRoot.querySelectorAll(selector) : [];
   }
 
   // Build the main overlay that shows cookie info
   function createOverlay() {
-    if (document.getElementById('cookie-extension-overlay')) return;
+    if (overlayHost) return;
 
-    injectStyles();
     currentDomain = new URL(location.href).hostname;
 
     const overlay = document.createElement('div');
@@ -32,9 +117,14 @@
     const isHttps = location.protocol === 'https:';
     
     overlay.innerHTML = `
-      <div class="extension-header">
+      <div class="extension-header" id="overlay-drag-handle">
         <strong>🍪 Cookie Viewer</strong>
-        <button id="close-overlay" class="close-btn">×</button>
+        <span class="header-buttons">
+          <button class="close-btn" data-dock="left" title="Dock left">⇤</button>
+          <button class="close-btn" data-dock="float" title="Float">❐</button>
+          <button class="close-btn" data-dock="right" title="Dock right">⇥</button>
+          <button id="close-overlay" class="close-btn" title="Close">×</button>
+        </span>
       </div>
       <div class="info-section">
         <div class="info-item">
@@ -43,52 +133,2054 @@
         <div class="info-item">
           <strong>Domain:</strong> <span class="domain-text">${escapeHtml(currentDomain)}</span>
         </div>
+        <div class="info-item store-item" id="store-info" hidden>
+          <strong>Store:</strong>
+          <select id="cookie-store" class="control-select"></select>
+        </div>
         <div class="info-item">
           <strong>HTTPS:</strong> <span class="https-indicator ${isHttps ? 'secure' : 'insecure'}">${isHttps ? '✅ Yes' : '❌ No'}</span>
         </div>
-      </div>
-      <div class="cookie-section">
-        <button id="cookie-permission-btn" class="primary-btn">Grant Cookie Access</button>
-        <div id="cookie-controls" class="cookie-controls" style="display: none;">
-          <button id="clear-cookies-btn" class="danger-btn">Clear All Cookies</button>
-          <button id="revoke-permission-btn" class="secondary-btn">Revoke Permission</button>
+      </div>
+      <div class="cookie-section">
+        <button id="cookie-permission-btn" class="primary-btn">Grant Cookie Access</button>
+        <div id="cookie-controls" class="cookie-controls" style="display: none;">
+          <button id="add-cookie-btn" class="secondary-btn">Add Cookie</button>
+          <button id="import-cookies-btn" class="secondary-btn">Import</button>
+          <div class="clear-controls">
+            <select id="clear-scope" class="control-select" aria-label="Cookies to clear">
+              ${Object.entries(CLEAR_SCOPES).map(([value, label]) => `<option value="${value}">${label}</option>`).join('')}
+            </select>
+            <button id="clear-cookies-btn" class="danger-btn">Clear Cookies</button>
+          </div>
+          <button id="revoke-permission-btn" class="secondary-btn">Revoke Permission</button>
+          <button id="trace-requests-btn" class="secondary-btn" title="Record which requests send and set each cookie">Trace Requests</button>
+          <div class="export-controls">
+            <select id="export-format" class="control-select">
+              <option value="netscape">cookies.txt (Netscape)</option>
+              <option value="json">JSON</option>
+              <option value="har">HAR cookies</option>
+              <option value="header">Cookie header</option>
+            </select>
+            <button id="export-cookies-btn" class="secondary-btn">Export</button>
+            <button id="copy-export-btn" class="secondary-btn">Copy</button>
+          </div>
+          <div class="export-controls" id="store-copy-controls" hidden>
+            <span>Copy shown cookies to</span>
+            <select id="copy-target-store" class="control-select"></select>
+            <button id="copy-to-store-btn" class="secondary-btn">Copy</button>
+          </div>
+          <div class="export-controls" id="expiry-controls">
+            <span>Expiry of shown cookies</span>
+            <select id="bulk-expiry-action" class="control-select">
+              ${EXPIRY_ACTIONS.map(action => `<option value="${action.value}">${action.label}</option>`).join('')}
+            </select>
+            <button id="apply-bulk-expiry-btn" class="secondary-btn">Apply</button>
+          </div>
+          <div id="overlay-tabs" class="overlay-tabs">
+            <button class="tab-btn active" data-tab="cookies">Cookies</button>
+            <button class="tab-btn" data-tab="snapshots">Snapshots</button>
+            <button class="tab-btn" data-tab="history">History</button>
+            <button class="tab-btn" data-tab="audit">Audit</button>
+            <button class="tab-btn" data-tab="rules">Rules</button>
+            <button class="tab-btn" data-tab="consent">Consent</button>
+            <button class="tab-btn" data-tab="watched">Watched</button>
+            <button class="tab-btn" data-tab="protected">Protected</button>
+            <button class="tab-btn" data-tab="trash">Trash</button>
+          </div>
+        </div>
+        <div class="tab-panel" data-panel="cookies">
+          <div id="link-cookies" class="link-cookies" hidden></div>
+          <div id="cookie-add-form"></div>
+          <div id="cookie-toolbar" class="cookie-toolbar" hidden>
+            <div class="toolbar-row">
+              <input id="cookie-search" type="text" placeholder="Search name, value or domain">
+              <label><input id="cookie-search-regex" type="checkbox"> Regex</label>
+            </div>
+            <div class="toolbar-row filter-chips">
+              <label><input name="secure" type="checkbox"> Secure</label>
+              <label><input name="httpOnly" type="checkbox"> HttpOnly</label>
+              <label><input name="session" type="checkbox"> Session</label>
+              <label><input name="persistent" type="checkbox"> Persistent</label>
+              <label><input name="parentDomain" type="checkbox"> Parent domain</label>
+              <label><input name="partitioned" type="checkbox"> Partitioned</label>
+            </div>
+            <div class="toolbar-row">
+              <select id="filter-samesite" class="control-select">
+                <option value="">Any SameSite</option>
+                <option value="no_restriction">None</option>
+                <option value="lax">Lax</option>
+                <option value="strict">Strict</option>
+                <option value="unspecified">Unspecified</option>
+              </select>
+              <label>Expiring within <input id="filter-expiring" type="number" min="0" step="1" placeholder="—"> h</label>
+              <select id="filter-category" class="control-select">
+                <option value="">Any category</option>
+                ${Object.entries(COOKIE_CATEGORIES).map(([value, label]) => `<option value="${value}">${label}</option>`).join('')}
+              </select>
+            </div>
+            <div class="toolbar-row">
+              <select id="scope-view" class="control-select" aria-label="Cookies to show">
+                <option value="">All stored for this domain</option>
+                <option value="sent">Sent to this URL</option>
+                <option value="not-sent">Stored but not sent</option>
+              </select>
+              <select id="samesite-context" class="control-select" aria-label="Request context"
+                title="Request context the SameSite check is evaluated for">
+                ${Object.entries(SAME_SITE_CONTEXTS).map(([value, label]) => `<option value="${value}">${label}</option>`).join('')}
+              </select>
+            </div>
+            <div class="toolbar-row sort-row">
+              <span>Sort:</span>
+              <button class="link-btn active" data-sort="name" data-direction="▲">Name</button>
+              <button class="link-btn" data-sort="domain">Domain</button>
+              <button class="link-btn" data-sort="size">Size</button>
+              <button class="link-btn" data-sort="expiry">Expiry</button>
+            </div>
+          </div>
+          <div id="cookie-list" class="cookie-list"></div>
+        </div>
+        <div class="tab-panel" data-panel="snapshots" hidden>
+          <form id="snapshot-form" class="snapshot-form">
+            <input id="snapshot-name" type="text" placeholder="Snapshot name, e.g. admin user">
+            <button type="submit" class="secondary-btn">Save Snapshot</button>
+          </form>
+          <div id="snapshot-list" class="cookie-list"></div>
+          <div id="snapshot-diff" class="snapshot-diff"></div>
+        </div>
+        <div class="tab-panel" data-panel="history" hidden>
+          <div class="history-filters">
+            <input id="history-search" type="text" placeholder="Filter by name or value">
+            <select id="history-cause" class="control-select">
+              <option value="">All causes</option>
+              <option value="explicit">explicit</option>
+              <option value="overwrite">overwrite</option>
+              <option value="expired">expired</option>
+              <option value="expired_overwrite">expired_overwrite</option>
+              <option value="evicted">evicted</option>
+            </select>
+            <button id="clear-history-btn" class="secondary-btn">Clear</button>
+          </div>
+          <div id="history-list" class="cookie-list"></div>
+        </div>
+        <div class="tab-panel" data-panel="audit" hidden>
+          <div id="audit-summary" class="audit-summary"></div>
+          <div id="audit-findings" class="cookie-list"></div>
+        </div>
+        <div class="tab-panel" data-panel="rules" hidden>
+          <div id="rules-list" class="rules-list"></div>
+          <div class="editor-actions">
+            <button id="add-rule-btn" class="secondary-btn">Add Rule</button>
+            <button id="dry-run-rules-btn" class="secondary-btn">Dry Run</button>
+            <button id="save-rules-btn" class="primary-btn">Save Rules</button>
+          </div>
+          <div id="rules-result" class="snapshot-diff"></div>
+        </div>
+        <div class="tab-panel" data-panel="consent" hidden>
+          <div id="consent-start" class="consent-start">
+            <label><input id="consent-clean-start" type="checkbox" checked> Clear this site's cookies and reload first</label>
+            <button id="start-consent-btn" class="primary-btn">Start Recording</button>
+          </div>
+          <div id="consent-controls" class="consent-controls" hidden>
+            <small>Click a marker first, then the matching button on the site's consent banner.</small>
+            <div class="editor-actions">
+              <button class="secondary-btn" data-decision="accepted">✅ Accepted</button>
+              <button class="secondary-btn" data-decision="rejected">🚫 Rejected</button>
+              <button id="stop-consent-btn" class="danger-btn">Stop</button>
+            </div>
+          </div>
+          <div id="consent-report" class="consent-report"></div>
+          <button id="export-consent-btn" class="secondary-btn" hidden>Export Report</button>
+        </div>
+        <div class="tab-panel" data-panel="watched" hidden>
+          <form id="watch-form" class="watch-form">
+            <input name="name" type="text" placeholder="Name pattern, e.g. session*" required>
+            <input name="domain" type="text" placeholder="Domain pattern, e.g. *.example.com" required>
+            <input name="path" type="text" placeholder="Path pattern (default *)">
+            <label><input name="changes" type="checkbox" checked> Changes</label>
+            <label><input name="expiry" type="checkbox" checked> Expiry</label>
+            <button type="submit" class="secondary-btn">Watch</button>
+          </form>
+          <div class="editor-errors" id="watch-errors"></div>
+          <div id="watch-list" class="cookie-list"></div>
+          <div class="cookies-header">Recent alerts</div>
+          <div id="watch-alerts" class="cookie-list"></div>
+        </div>
+        <div class="tab-panel" data-panel="protected" hidden>
+          <div id="protected-list" class="cookie-list"></div>
+          <div class="cookies-header">Reverted changes</div>
+          <div id="protection-log" class="cookie-list"></div>
+        </div>
+        <div class="tab-panel" data-panel="trash" hidden>
+          <div class="trash-header">
+            <small>Cookies the extension removed are kept here for 3 days.</small>
+            <button id="empty-trash-btn" class="secondary-btn">Empty Trash</button>
+          </div>
+          <div id="trash-list" class="cookie-list"></div>
+        </div>
+        <div id="undo-toast" class="undo-toast" role="status" hidden>
+          <span id="undo-toast-text"></span>
+          <button id="undo-toast-btn" class="link-btn">Undo</button>
+        </div>
+      </div>
+    `;
+
+    // Insert overlay into page with error handling
+    try {
+      previouslyFocused = document.activeElement;
+      mountOverlayHost();
+      overlayRoot.appendChild(overlay);
+      overlayVisible = true;
+      setupEventListeners();
+      setupOverlayLayout(overlay);
+      overlay.querySelector('#close-overlay')?.focus();
+      checkInitialPermissionState();
+    } catch (error) {
+      console.error('Cookie Extension: Failed to create overlay', error);
+    }
+  }
+
+  // Focus trap: Tab / Shift+Tab cycle through the overlay's controls, Escape closes an editor or the overlay.
+  // Keys are also kept from reaching the page so site shortcuts don't fire while typing here.
+  function handleOverlayKeydown(event) {
+    event.stopPropagation();
+
+    if (handleCookieListKeydown(event)) return;
+
+    if (event.key === 'Escape') {
+      if (isCookieEditorOpen()) {
+        closeCookieEditors();
+      } else {
+        hideOverlay();
+      }
+      return;
+    }
+
+    if (event.key !== 'Tab') return;
+
+    const focusable = Array.from(queryOverlayAll('button, input, select, textarea, [tabindex]:not([tabindex="-1"])'))
+      .filter(el => !el.disabled && el.getClientRects().length > 0);
+    if (focusable.length === 0) return;
+
+    const first = focusable[0];
+    const last = focusable[focusable.length - 1];
+    const active = overlayRoot.activeElement;
+
+    if (event.shiftKey && (!active || active === first)) {
+      event.preventDefault();
+      last.focus();
+    } else if (!event.shiftKey && (!active || active === last)) {
+      event.preventDefault();
+      first.focus();
+    }
+  }
+
+  // Arrow keys move between cookie rows, Enter steps into a row's actions, Left / Right move between
+  // them and Escape steps back out to the row. Returns true when the key was handled.
+  function handleCookieListKeydown(event) {
+    const target = event.target;
+    if (!target || !target.closest || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName)) return false;
+
+    const row = target.closest('.cookie-item');
+    if (!row) return false;
+
+    const rows = Array.from(queryOverlayAll('#cookie-list .cookie-item'));
+    const rowIndex = rows.indexOf(row);
+    const onRow = target === row;
+    const actions = Array.from(row.querySelectorAll('.cookie-actions button, .cookie-actions select'));
+    let next = null;
+
+    switch (event.key) {
+      case 'ArrowDown':
+        next = rows[Math.min(rowIndex + 1, rows.length - 1)];
+        break;
+      case 'ArrowUp':
+        next = rows[Math.max(rowIndex - 1, 0)];
+        break;
+      case 'Home':
+        next = rows[0];
+        break;
+      case 'End':
+        next = rows[rows.length - 1];
+        break;
+      case 'ArrowRight':
+      case 'ArrowLeft': {
+        if (onRow) return false;
+        const step = event.key === 'ArrowRight' ? 1 : -1;
+        next = actions[(actions.indexOf(target) + step + actions.length) % actions.length];
+        break;
+      }
+      case 'Enter':
+        if (!onRow) return false;
+        next = actions[0];
+        break;
+      case 'Escape':
+        if (onRow) return false;
+        next = row;
+        break;
+      case 'Delete':
+        if (!onRow) return false;
+        deleteCookie(displayedCookies[Number(row.dataset.index)]);
+        event.preventDefault();
+        return true;
+      default:
+        return false;
+    }
+
+    event.preventDefault();
+    if (next) {
+      next.focus();
+      next.scrollIntoView({ block: 'nearest' });
+    }
+    return true;
+  }
+
+  // Restore this site's dock mode / position / size and wire up dragging, docking and resizing
+  function setupOverlayLayout(overlay) {
+    chrome.storage.local.get(LAYOUT_KEY, (result) => {
+      const layouts = result[LAYOUT_KEY] || {};
+      overlayLayout = layouts[currentDomain] || { mode: 'float' };
+      applyOverlayLayout(overlay);
+    });
+
+    overlay.querySelectorAll('[data-dock]').forEach(button => {
+      button.addEventListener('click', () => {
+        overlayLayout = { ...overlayLayout, mode: button.dataset.dock };
+        applyOverlayLayout(overlay);
+        saveOverlayLayout();
+      });
+    });
+
+    const handle = overlay.querySelector('#overlay-drag-handle');
+    handle?.addEventListener('pointerdown', (event) => {
+      if (event.target.closest('button') || event.button !== 0) return;
+
+      const rect = overlay.getBoundingClientRect();
+      const offsetX = event.clientX - rect.left;
+      const offsetY = event.clientY - rect.top;
+      handle.setPointerCapture(event.pointerId);
+
+      // Dragging a docked overlay pulls it back out into floating mode
+      overlayLayout = { ...overlayLayout, mode: 'float', left: rect.left, top: rect.top };
+      applyOverlayLayout(overlay);
+
+      const onMove = (moveEvent) => {
+        overlayLayout.left = moveEvent.clientX - offsetX;
+        overlayLayout.top = moveEvent.clientY - offsetY;
+        applyOverlayLayout(overlay);
+      };
+      const onUp = () => {
+        handle.removeEventListener('pointermove', onMove);
+        handle.removeEventListener('pointerup', onUp);
+        saveOverlayLayout();
+      };
+      handle.addEventListener('pointermove', onMove);
+      handle.addEventListener('pointerup', onUp);
+    });
+
+    // The native CSS resize handle writes inline width/height - pick those up and remember them
+    new ResizeObserver(() => {
+      if (!overlay.style.width) return;
+      const width = parseInt(overlay.style.width, 10);
+      const height = overlay.style.height ? parseInt(overlay.style.height, 10) : undefined;
+      if (width !== overlayLayout.width || height !== overlayLayout.height) {
+        overlayLayout = { ...overlayLayout, width: width, height: height };
+        clearTimeout(layoutSaveTimer);
+        layoutSaveTimer = setTimeout(saveOverlayLayout, 300);
+      }
+    }).observe(overlay);
+  }
+
+  function applyOverlayLayout(overlay) {
+    overlay.classList.toggle('docked-left', overlayLayout.mode === 'left');
+    overlay.classList.toggle('docked-right', overlayLayout.mode === 'right');
+
+    overlay.style.width = overlayLayout.width ? `${overlayLayout.width}px` : '';
+    overlay.style.height = overlayLayout.mode === 'float' && overlayLayout.height ? `${overlayLayout.height}px` : '';
+
+    if (overlayLayout.mode === 'float' && typeof overlayLayout.left === 'number') {
+      // Keep the header on screen even if the window shrank since the position was saved
+      const maxLeft = Math.max(0, window.innerWidth - 80);
+      const maxTop = Math.max(0, window.innerHeight - 40);
+      overlay.style.left = `${Math.min(Math.max(0, overlayLayout.left), maxLeft)}px`;
+      overlay.style.top = `${Math.min(Math.max(0, overlayLayout.top), maxTop)}px`;
+      overlay.style.right = 'auto';
+    } else {
+      overlay.style.left = '';
+      overlay.style.top = '';
+      overlay.style.right = '';
+    }
+  }
+
+  function saveOverlayLayout() {
+    chrome.storage.local.get(LAYOUT_KEY, (result) => {
+      const layouts = result[LAYOUT_KEY] || {};
+      layouts[currentDomain] = overlayLayout;
+      chrome.storage.local.set({ [LAYOUT_KEY]: layouts });
+    });
+  }
+
+  // Important: Always escape HTML to prevent XSS attacks
+  // Quotes are escaped too, since values also end up inside attributes
+  function escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text;
+    return div.innerHTML.replace(/"/g, '&quot;').replace(/'/g, '&#39;');
+  }
+
+  // Wire up all the button clicks and interactions
+  function setupEventListeners() {
+    const overlay = getElement('cookie-extension-overlay');
+    if (!overlay) return;
+
+    // Close overlay
+    overlay.querySelector('#close-overlay')?.addEventListener('click', hideOverlay);
+
+    // Keep keyboard focus inside the overlay while it is open, Escape closes it
+    overlay.addEventListener('keydown', handleOverlayKeydown);
+
+    // Permission button - handles both permission request and cookie fetching
+    overlay.querySelector('#cookie-permission-btn')?.addEventListener('click', handleCookiePermissionButton);
+
+    // Cookie management buttons
+    overlay.querySelector('#clear-cookies-btn')?.addEventListener('click', clearDomainCookies);
+    overlay.querySelector('#revoke-permission-btn')?.addEventListener('click', revokePermission);
+    overlay.querySelector('#add-cookie-btn')?.addEventListener('click', showAddCookieForm);
+    overlay.querySelector('#import-cookies-btn')?.addEventListener('click', showImportPanel);
+    overlay.querySelector('#export-cookies-btn')?.addEventListener('click', () => exportCookies(false));
+    overlay.querySelector('#copy-export-btn')?.addEventListener('click', () => exportCookies(true));
+    overlay.querySelector('#trace-requests-btn')?.addEventListener('click', toggleRequestTracing);
+
+    // Row actions and editors are re-rendered constantly, so delegate from the containers
+    overlay.querySelector('#cookie-list')?.addEventListener('click', handleCookieListClick);
+    overlay.querySelector('#cookie-list')?.addEventListener('submit', handleCookieEditorSubmit);
+    overlay.querySelector('#cookie-list')?.addEventListener('change', handleTrackerListFileChange);
+    overlay.querySelector('#cookie-add-form')?.addEventListener('click', handleCookieListClick);
+    overlay.querySelector('#cookie-add-form')?.addEventListener('submit', handleCookieEditorSubmit);
+    overlay.querySelector('#cookie-add-form')?.addEventListener('change', handleImportFileChange);
+
+    // Cookie stores
+    overlay.querySelector('#cookie-store')?.addEventListener('change', handleStoreChange);
+    overlay.querySelector('#copy-to-store-btn')?.addEventListener('click', copyCookiesToStore);
+
+    // Expiry
+    overlay.querySelector('#apply-bulk-expiry-btn')?.addEventListener('click', applyBulkExpiry);
+    overlay.querySelector('#cookie-list')?.addEventListener('change', handleExpirySelectChange);
+
+    // Watched cookies
+    overlay.querySelector('#watch-form')?.addEventListener('submit', addCookieWatch);
+    overlay.querySelector('#watch-list')?.addEventListener('click', handleWatchListClick);
+
+    // Protected cookies
+    overlay.querySelector('#protected-list')?.addEventListener('click', handleProtectedListClick);
+
+    // Cookies for a link, from the context menu
+    overlay.querySelector('#link-cookies')?.addEventListener('click', (event) => {
+      if (event.target.closest('[data-action="close-link-cookies"]')) {
+        getElement('link-cookies').hidden = true;
+      }
+    });
+
+    // Trash and undo
+    overlay.querySelector('#trash-list')?.addEventListener('click', handleTrashListClick);
+    overlay.querySelector('#empty-trash-btn')?.addEventListener('click', emptyTrash);
+    overlay.querySelector('#undo-toast-btn')?.addEventListener('click', undoLastRemoval);
+
+    // Search, filters and sorting all just re-render the last cookie list
+    overlay.querySelector('#cookie-toolbar')?.addEventListener('input', renderCookieList);
+    // "Sent" is decided in the background, so a different context needs a fresh list
+    overlay.querySelector('#samesite-context')?.addEventListener('change', fetchCookiesForDisplay);
+    overlay.querySelector('#cookie-toolbar')?.addEventListener('click', handleSortClick);
+
+    // Tabs and snapshots
+    overlay.querySelector('#overlay-tabs')?.addEventListener('click', handleTabClick);
+    overlay.querySelector('#snapshot-form')?.addEventListener('submit', saveSnapshot);
+    overlay.querySelector('#snapshot-list')?.addEventListener('click', handleSnapshotListClick);
+
+    // History
+    overlay.querySelector('#history-search')?.addEventListener('input', renderHistory);
+    overlay.querySelector('#history-cause')?.addEventListener('change', renderHistory);
+    overlay.querySelector('#clear-history-btn')?.addEventListener('click', clearHistory);
+
+    // Rules
+    overlay.querySelector('#add-rule-btn')?.addEventListener('click', addRuleRow);
+    overlay.querySelector('#dry-run-rules-btn')?.addEventListener('click', dryRunRules);
+    overlay.querySelector('#save-rules-btn')?.addEventListener('click', saveRules);
+    overlay.querySelector('#rules-list')?.addEventListener('click', handleRulesListClick);
+
+    // Consent verification
+    overlay.querySelector('#start-consent-btn')?.addEventListener('click', startConsentRecording);
+    overlay.querySelector('#stop-consent-btn')?.addEventListener('click', stopConsentRecording);
+    overlay.querySelector('#export-consent-btn')?.addEventListener('click', exportConsentReport);
+    overlay.querySelectorAll('[data-decision]').forEach(button => {
+      button.addEventListener('click', () => markConsentDecision(button.dataset.decision));
+    });
+  }
+
+  // Find out which cookie stores exist and which one this tab belongs to
+  function loadCookieStores() {
+    sendSecureMessage({ type: 'LIST_COOKIE_STORES' }).then(response => {
+      if (response && response.type === 'COOKIE_STORES') {
+        renderCookieStores(response.stores, response.currentStoreId);
+      }
+    }).catch(error => {
+      console.error('Failed to load cookie stores:', error);
+    });
+  }
+
+  function renderCookieStores(stores, tabStoreId) {
+    const select = getElement('cookie-store');
+    const targetSelect = getElement('copy-target-store');
+    if (!select || !targetSelect) return;
+
+    if (!currentStoreId || !stores.some(store => store.id === currentStoreId)) {
+      currentStoreId = tabStoreId;
+    }
+
+    select.innerHTML = stores.map(store => `
+      <option value="${escapeHtml(store.id)}" ${store.id === currentStoreId ? 'selected' : ''}>
+        ${escapeHtml(store.label)}${store.id === tabStoreId ? ' (this tab)' : ''} · ${store.tabCount} tabs
+      </option>
+    `).join('');
+    getElement('store-info').hidden = false;
+
+    // Copying only makes sense when there is somewhere else to copy to
+    const targets = stores.filter(store => store.id !== currentStoreId);
+    targetSelect.innerHTML = targets.map(store =>
+      `<option value="${escapeHtml(store.id)}">${escapeHtml(store.label)}</option>`).join('');
+    getElement('store-copy-controls').hidden = targets.length === 0;
+  }
+
+  function handleStoreChange(event) {
+    currentStoreId = event.target.value;
+    loadCookieStores();
+    if (cookiesActivelyRequested) {
+      fetchCookiesForDisplay();
+    }
+  }
+
+  // "in 3 days", "in 20 min", "expired"
+  function formatTimeUntil(expirationDate) {
+    const seconds = expirationDate - Date.now() / 1000;
+    if (seconds <= 0) return 'expired';
+    if (seconds < 3600) return `in ${Math.max(1, Math.round(seconds / 60))} min`;
+    if (seconds < 86400) return `in ${Math.round(seconds / 3600)} h`;
+    return `in ${Math.round(seconds / 86400)} days`;
+  }
+
+  function parseExpiryAction(value) {
+    const [type, seconds] = value.split(':');
+    return { type: type, seconds: Number(seconds) };
+  }
+
+  function handleExpirySelectChange(event) {
+    if (!event.target.classList.contains('expiry-select') || !event.target.value) return;
+    const cookie = displayedCookies[Number(event.target.dataset.index)];
+    if (cookie) {
+      adjustExpiry([cookie], parseExpiryAction(event.target.value));
+    }
+    event.target.value = '';
+  }
+
+  function applyBulkExpiry() {
+    const select = getElement('bulk-expiry-action');
+    if (!select || displayedCookies.length === 0) return;
+    const label = select.options[select.selectedIndex].textContent;
+    if (!confirm(`Apply "${label}" to ${displayedCookies.length} shown cookies?`)) {
+      return;
+    }
+    adjustExpiry(displayedCookies, parseExpiryAction(select.value));
+  }
+
+  function adjustExpiry(cookies, action) {
+    sendSecureMessage({
+      type: 'ADJUST_COOKIE_EXPIRY',
+      cookies: cookies,
+      action: action
+    }).then(response => {
+      if (response && response.type === 'COOKIES_EXPIRY_ADJUSTED') {
+        if (response.failed.length > 0) {
+          const failed = response.failed.map(f => `${f.name} (${f.errors.join(', ')})`).join(', ');
+          alert(`Updated ${response.updated} cookies. Failed: ${failed}`);
+        }
+      } else if (response && response.type === 'ERROR') {
+        updateCookieList(`Error: ${response.message}`);
+      }
+    }).catch(error => {
+      console.error('Failed to change expiry:', error);
+    });
+  }
+
+  function loadWatchedCookies() {
+    sendSecureMessage({ type: 'GET_WATCHED_COOKIES' }).then(setWatchedCookies).catch(error => {
+      console.error('Failed to load watched cookies:', error);
+    });
+  }
+
+  function toggleExpiryWatch(cookie) {
+    if (!cookie) return;
+    sendSecureMessage({
+      type: 'WATCH_COOKIE',
+      cookie: cookie,
+      watch: !watchedKeys.has(cookieKey(cookie))
+    }).then(setWatchedCookies).catch(error => {
+      console.error('Failed to update watched cookies:', error);
+    });
+  }
+
+  function setWatchedCookies(response) {
+    if (!response || response.type !== 'WATCHED_COOKIES') return;
+    watchState = response;
+    watchedKeys = new Set(response.watches.filter(watch => watch.exact).map(watch => watch.id));
+    if (displayedCookies.length > 0) {
+      renderCookieList();
+    }
+    renderWatchedTab();
+  }
+
+  function renderWatchedTab() {
+    const list = getElement('watch-list');
+    const alerts = getElement('watch-alerts');
+    if (!list || !alerts) return;
+
+    list.innerHTML = watchState.watches.length === 0
+      ? '<div class="status-message">Nothing watched yet. Use 👁 Watch on a cookie or add a pattern above.</div>'
+      : watchState.watches.map(watch => `
+        <div class="history-entry">
+          <div class="history-meta">
+            <strong>${escapeHtml(watch.name)}</strong>
+            <button class="link-btn danger" data-watch-id="${escapeHtml(watch.id)}">Remove</button>
+          </div>
+          <small>
+            ${escapeHtml(watch.domain)}${escapeHtml(watch.path || '*')} ·
+            ${watch.exact ? 'exact cookie' : 'pattern'} ·
+            ${[watch.changes && 'changes', watch.expiry && 'expiry'].filter(Boolean).join(' + ')}
+          </small>
+        </div>
+      `).join('');
+
+    const labels = { created: 'Created', changed: 'Changed', removed: 'Removed', expired: 'Expired', expiring: 'Expiring' };
+    alerts.innerHTML = watchState.alerts.length === 0
+      ? '<div class="status-message">No alerts yet.</div>'
+      : watchState.alerts.map(alert => `
+        <div class="history-entry ${alert.seen ? '' : 'unseen'}">
+          <div class="history-meta">
+            <strong>${escapeHtml(labels[alert.event] || alert.event)} · ${escapeHtml(alert.name)}</strong>
+            <small>${new Date(alert.time).toLocaleString()}</small>
+          </div>
+          <small>${escapeHtml(alert.domain)}${escapeHtml(alert.path)} · ${escapeHtml(alert.detail)}</small>
+        </div>
+      `).join('');
+  }
+
+  function addCookieWatch(event) {
+    event.preventDefault();
+    const form = event.target;
+
+    sendSecureMessage({
+      type: 'ADD_COOKIE_WATCH',
+      watch: {
+        name: form.elements.name.value,
+        domain: form.elements.domain.value,
+        path: form.elements.path.value,
+        changes: form.elements.changes.checked,
+        expiry: form.elements.expiry.checked
+      }
+    }).then(response => {
+      const errors = getElement('watch-errors');
+      if (response && response.type === 'WATCH_VALIDATION_ERROR') {
+        if (errors) errors.innerHTML = response.errors.map(error => `<div>${escapeHtml(error)}</div>`).join('');
+        return;
+      }
+      if (errors) errors.innerHTML = '';
+      form.reset();
+      setWatchedCookies(response);
+    }).catch(error => {
+      console.error('Failed to add watch:', error);
+    });
+  }
+
+  function handleWatchListClick(event) {
+    const button = event.target.closest('[data-watch-id]');
+    if (!button) return;
+
+    sendSecureMessage({ type: 'REMOVE_COOKIE_WATCH', id: button.dataset.watchId })
+      .then(setWatchedCookies)
+      .catch(error => console.error('Failed to remove watch:', error));
+  }
+
+  function loadProtectedCookies() {
+    sendSecureMessage({ type: 'GET_PROTECTED_COOKIES' }).then(setProtectedCookies).catch(error => {
+      console.error('Failed to load protected cookies:', error);
+    });
+  }
+
+  function toggleProtection(cookie) {
+    if (!cookie) return;
+    sendSecureMessage({
+      type: 'PROTECT_COOKIE',
+      cookie: cookie,
+      protect: !protectedKeys.has(protectionKey(cookie))
+    }).then(setProtectedCookies).catch(error => {
+      console.error('Failed to update protected cookies:', error);
+    });
+  }
+
+  // Same key the background script pins cookies under - protection is per cookie store
+  function protectionKey(cookie) {
+    return cookie.storeId + '|' + cookieKey(cookie);
+  }
+
+  function setProtectedCookies(response) {
+    if (!response || response.type !== 'PROTECTED_COOKIES') return;
+    protectionState = response;
+    protectedKeys = new Set(response.cookies.map(cookie => cookie.id));
+    if (displayedCookies.length > 0) {
+      renderCookieList();
+    }
+    renderProtectedTab();
+  }
+
+  function renderProtectedTab() {
+    const list = getElement('protected-list');
+    const log = getElement('protection-log');
+    if (!list || !log) return;
+
+    list.innerHTML = protectionState.cookies.length === 0
+      ? '<div class="status-message">No protected cookies. Use 🔒 Protect on a cookie to pin its value.</div>'
+      : protectionState.cookies.map(cookie => `
+        <div class="history-entry">
+          <div class="history-meta">
+            <strong>${escapeHtml(cookie.name)}</strong>
+            <button class="link-btn danger" data-protected-id="${escapeHtml(cookie.id)}">Unprotect</button>
+          </div>
+          <small>${escapeHtml(cookie.domain)}${escapeHtml(cookie.path)} · pinned to <code>${escapeHtml(cookie.value)}</code></small>
+        </div>
+      `).join('');
+
+    log.innerHTML = protectionState.log.length === 0
+      ? '<div class="status-message">Nothing has been reverted yet.</div>'
+      : protectionState.log.map(entry => `
+        <div class="history-entry">
+          <div class="history-meta">
+            <strong>${entry.restored ? 'Restored' : 'Not restored'} · ${escapeHtml(entry.name)}</strong>
+            <small>${new Date(entry.time).toLocaleString()}</small>
+          </div>
+          <small>
+            ${escapeHtml(entry.domain)}${escapeHtml(entry.path)} · ${escapeHtml(entry.change)} (${escapeHtml(entry.cause)})
+            ${entry.attemptedValue !== null ? ` to <code>${escapeHtml(entry.attemptedValue)}</code>` : ''}
+            ${entry.detail ? ` · ${escapeHtml(entry.detail)}` : ''}
+          </small>
+        </div>
+      `).join('');
+  }
+
+  function handleProtectedListClick(event) {
+    const button = event.target.closest('[data-protected-id]');
+    if (!button) return;
+
+    const cookie = protectionState.cookies.find(entry => entry.id === button.dataset.protectedId);
+    if (!cookie) return;
+    sendSecureMessage({ type: 'PROTECT_COOKIE', cookie: cookie, protect: false })
+      .then(setProtectedCookies)
+      .catch(error => console.error('Failed to unprotect cookie:', error));
+  }
+
+  // "Cleared 12 cookies · Undo" - stays for a few seconds, the Trash tab keeps the batch after that
+  function showUndoToast(text, batchId) {
+    const toast = getElement('undo-toast');
+    if (!toast || !batchId) return;
+
+    getElement('undo-toast-text').textContent = text;
+    toast.dataset.batchId = batchId;
+    toast.hidden = false;
+    clearTimeout(undoToastTimer);
+    undoToastTimer = setTimeout(hideUndoToast, 10000);
+  }
+
+  function hideUndoToast() {
+    const toast = getElement('undo-toast');
+    if (toast) toast.hidden = true;
+    clearTimeout(undoToastTimer);
+  }
+
+  function undoLastRemoval() {
+    const toast = getElement('undo-toast');
+    if (!toast || !toast.dataset.batchId) return;
+    restoreFromTrash(toast.dataset.batchId);
+    hideUndoToast();
+  }
+
+  function loadTrash() {
+    sendSecureMessage({ type: 'GET_TRASH' }).then(response => {
+      if (response && response.type === 'TRASH') {
+        trashBatches = response.batches;
+        renderTrash();
+      }
+    }).catch(error => {
+      console.error('Failed to load trash:', error);
+    });
+  }
+
+  // Whole batch when index is left out
+  function restoreFromTrash(batchId, index) {
+    sendSecureMessage({ type: 'RESTORE_FROM_TRASH', batchId: batchId, index: index }).then(response => {
+      if (response && response.type === 'TRASH_RESTORED') {
+        trashBatches = response.batches;
+        renderTrash();
+        if (response.failed.length > 0) {
+          alert(`Restored ${response.restored} cookies. Failed: ` +
+            response.failed.map(f => `${f.name} (${f.reason})`).join(', '));
+        }
+        if (cookiesActivelyRequested) {
+          fetchCookiesForDisplay();
+        }
+      } else if (response && response.type === 'ERROR') {
+        alert(response.message);
+      }
+    }).catch(error => {
+      console.error('Failed to restore from trash:', error);
+    });
+  }
+
+  function emptyTrash() {
+    if (!confirm('Permanently discard every cookie in the trash?')) return;
+    sendSecureMessage({ type: 'EMPTY_TRASH' }).then(response => {
+      if (response && response.type === 'TRASH') {
+        trashBatches = response.batches;
+        renderTrash();
+      }
+    }).catch(error => {
+      console.error('Failed to empty trash:', error);
+    });
+  }
+
+  function renderTrash() {
+    const list = getElement('trash-list');
+    if (!list) return;
+
+    list.innerHTML = trashBatches.length === 0
+      ? '<div class="status-message">The trash is empty.</div>'
+      : trashBatches.map(batch => `
+        <div class="history-entry trash-batch">
+          <div class="history-meta">
+            <strong>${escapeHtml(batch.label)}</strong>
+            <small>${new Date(batch.time).toLocaleString()}</small>
+            <button class="link-btn" data-trash-batch="${escapeHtml(batch.id)}">Restore all (${batch.cookies.length})</button>
+          </div>
+          ${batch.cookies.map((cookie, index) => `
+            <div class="trash-cookie">
+              <small>
+                <strong>${escapeHtml(cookie.name)}</strong> · ${escapeHtml(cookie.domain)}${escapeHtml(cookie.path)} ·
+                ${cookie.expirationDate ? `expires ${new Date(cookie.expirationDate * 1000).toLocaleString()}` : 'session'}
+              </small>
+              <button class="link-btn" data-trash-batch="${escapeHtml(batch.id)}" data-trash-index="${index}">Restore</button>
+            </div>
+          `).join('')}
+        </div>
+      `).join('');
+  }
+
+  function handleTrashListClick(event) {
+    const button = event.target.closest('[data-trash-batch]');
+    if (!button) return;
+    const index = button.dataset.trashIndex;
+    restoreFromTrash(button.dataset.trashBatch, index === undefined ? undefined : Number(index));
+  }
+
+  function copyCookiesToStore() {
+    const target = getElement('copy-target-store')?.value;
+    if (!target || displayedCookies.length === 0) return;
+    if (!confirm(`Copy ${displayedCookies.length} cookies to the selected store? Existing cookies with the same name will be overwritten.`)) {
+      return;
+    }
+
+    sendSecureMessage({
+      type: 'COPY_COOKIES_TO_STORE',
+      cookies: displayedCookies,
+      targetStoreId: target
+    }).then(response => {
+      if (response && response.type === 'COOKIES_COPIED') {
+        const failed = response.failed.map(f => `${f.name} (${f.errors.join(', ')})`).join(', ');
+        alert(`Copied ${response.copied} cookies.` + (failed ? ` Failed: ${failed}` : ''));
+      } else if (response && response.type === 'ERROR') {
+        updateCookieList(`Error: ${response.message}`);
+      }
+    }).catch(error => {
+      console.error('Failed to copy cookies:', error);
+      updateCookieList('Failed to copy cookies. Please try again.');
+    });
+  }
+
+  function handleTabClick(event) {
+    const button = event.target.closest('.tab-btn');
+    if (button) {
+      switchTab(button.dataset.tab);
+    }
+  }
+
+  // Show one tab panel and refresh its contents
+  function switchTab(tab) {
+    const overlay = getElement('cookie-extension-overlay');
+    if (!overlay) return;
+
+    overlay.querySelectorAll('.tab-btn').forEach(btn => {
+      btn.classList.toggle('active', btn.dataset.tab === tab);
+    });
+    overlay.querySelectorAll('.tab-panel').forEach(panel => {
+      panel.hidden = panel.dataset.panel !== tab;
+    });
+
+    if (tab === 'snapshots') {
+      loadSnapshots();
+    } else if (tab === 'history') {
+      loadHistory();
+    } else if (tab === 'audit') {
+      runAudit();
+    } else if (tab === 'rules') {
+      loadRules();
+    } else if (tab === 'consent') {
+      loadConsentReport();
+    } else if (tab === 'watched') {
+      // Looking at the alerts clears the badge
+      sendSecureMessage({ type: 'MARK_WATCH_ALERTS_SEEN' }).then(setWatchedCookies).catch(error => {
+        console.error('Failed to load watched cookies:', error);
+      });
+    } else if (tab === 'protected') {
+      loadProtectedCookies();
+    } else if (tab === 'trash') {
+      loadTrash();
+    }
+  }
+
+  function loadRules() {
+    sendSecureMessage({ type: 'GET_RULES' }).then(response => {
+      if (response && response.type === 'RULES') {
+        renderRules(response.rules);
+      } else if (response && response.type === 'ERROR') {
+        setPanelMessage('rules-result', `Error: ${response.message}`);
+      }
+    }).catch(error => {
+      console.error('Failed to load rules:', error);
+      setPanelMessage('rules-result', 'Failed to load rules.');
+    });
+  }
+
+  function renderRules(rules) {
+    const list = getElement('rules-list');
+    if (!list) return;
+
+    list.innerHTML = rules.length === 0
+      ? '<div class="status-message">No rules yet. Add one to start cleaning cookies automatically.</div>'
+      : rules.map(renderRuleRow).join('');
+  }
+
+  function renderRuleRow(rule) {
+    const actions = {
+      'allow': 'Allow (never delete)',
+      'block': 'Block (delete when set)',
+      'keep-only': 'Keep only listed names',
+      'clean-on-close': 'Clean when last tab closes'
+    };
+
+    return `
+      <div class="rule-row" data-id="${escapeHtml(rule.id || '')}">
+        <input name="enabled" type="checkbox" title="Enabled" ${rule.enabled !== false ? 'checked' : ''}>
+        <input name="pattern" type="text" placeholder="*.example.com" value="${escapeHtml(rule.pattern || '')}">
+        <select name="action" class="control-select">
+          ${Object.entries(actions).map(([value, label]) =>
+            `<option value="${value}" ${value === rule.action ? 'selected' : ''}>${label}</option>`).join('')}
+        </select>
+        <input name="names" type="text" placeholder="cookie names, comma separated" value="${escapeHtml((rule.names || []).join(', '))}">
+        <button class="link-btn danger" data-action="remove-rule">✕</button>
+      </div>
+    `;
+  }
+
+  function addRuleRow() {
+    const list = getElement('rules-list');
+    if (!list) return;
+
+    list.querySelector('.status-message')?.remove();
+    list.insertAdjacentHTML('beforeend', renderRuleRow({
+      pattern: currentDomain,
+      action: 'clean-on-close',
+      names: [],
+      enabled: true
+    }));
+  }
+
+  function handleRulesListClick(event) {
+    const button = event.target.closest('button[data-action="remove-rule"]');
+    if (button) {
+      button.closest('.rule-row').remove();
+    }
+  }
+
+  // Read the editor rows back into rule objects
+  function collectRules() {
+    return Array.from(queryOverlayAll('#rules-list .rule-row')).map(row => ({
+      id: row.dataset.id || undefined,
+      enabled: row.querySelector('[name="enabled"]').checked,
+      pattern: row.querySelector('[name="pattern"]').value.trim(),
+      action: row.querySelector('[name="action"]').value,
+      names: row.querySelector('[name="names"]').value.split(',').map(name => name.trim()).filter(Boolean)
+    }));
+  }
+
+  function saveRules() {
+    sendSecureMessage({
+      type: 'SAVE_RULES',
+      rules: collectRules()
+    }).then(response => {
+      if (response && response.type === 'RULES_SAVED') {
+        renderRules(response.rules);
+        setPanelMessage('rules-result', `Saved ${response.rules.length} rules.`);
+      } else {
+        showRulesResponseError(response);
+      }
+    }).catch(error => {
+      console.error('Failed to save rules:', error);
+      setPanelMessage('rules-result', 'Failed to save rules.');
+    });
+  }
+
+  // Preview the rules as currently typed, without saving them
+  function dryRunRules() {
+    sendSecureMessage({
+      type: 'DRY_RUN_RULES',
+      rules: collectRules()
+    }).then(response => {
+      if (response && response.type === 'RULES_DRY_RUN') {
+        renderDryRun(response);
+      } else {
+        showRulesResponseError(response);
+      }
+    }).catch(error => {
+      console.error('Failed to dry run rules:', error);
+      setPanelMessage('rules-result', 'Failed to preview rules.');
+    });
+  }
+
+  function showRulesResponseError(response) {
+    if (response && response.type === 'RULES_VALIDATION_ERROR') {
+      setPanelMessage('rules-result', response.errors.join(' · '));
+    } else if (response && response.type === 'ERROR') {
+      setPanelMessage('rules-result', `Error: ${response.message}`);
+    }
+  }
+
+  function renderDryRun(result) {
+    const container = getElement('rules-result');
+    if (!container) return;
+
+    const rows = entries => entries.map(entry => `
+      <div class="diff-row">
+        <strong>${escapeHtml(entry.cookie.name)}</strong>
+        <small>${escapeHtml(entry.cookie.domain)}${escapeHtml(entry.cookie.path)} · ${escapeHtml(entry.rule.action)} ${escapeHtml(entry.rule.pattern)}</small>
+      </div>
+    `).join('');
+
+    container.innerHTML = `
+      <div class="cookies-header">Dry run over ${result.total} cookies in the jar</div>
+      <div class="diff-section removed">
+        <div class="diff-title">Deleted immediately (${result.removeNow.length})</div>
+        ${rows(result.removeNow)}
+      </div>
+      <div class="diff-section changed">
+        <div class="diff-title">Deleted when the site's last tab closes (${result.removeOnClose.length})</div>
+        ${rows(result.removeOnClose)}
+      </div>
+    `;
+  }
+
+  function runAudit() {
+    setPanelMessage('audit-findings', 'Auditing cookies...');
+
+    sendSecureMessage({
+      type: 'AUDIT_COOKIES',
+      storeId: currentStoreId,
+      domain: currentDomain,
+      url: location.href
+    }).then(response => {
+      if (response && response.type === 'AUDIT_RESULT') {
+        renderAudit(response);
+      } else if (response && response.type === 'ERROR') {
+        setPanelMessage('audit-findings', `Error: ${response.message}`);
+      }
+    }).catch(error => {
+      console.error('Failed to audit cookies:', error);
+      setPanelMessage('audit-findings', 'Failed to audit cookies.');
+    });
+  }
+
+  // Score badge plus findings, already ranked high → low by the background script
+  function renderAudit(report) {
+    const summary = getElement('audit-summary');
+    const list = getElement('audit-findings');
+    if (!summary || !list) return;
+
+    const counts = { high: 0, medium: 0, low: 0 };
+    report.findings.forEach(finding => counts[finding.severity]++);
+
+    summary.innerHTML = `
+      <div class="audit-score grade-${report.grade}">${report.score}<small>/100</small></div>
+      <div>
+        <div><strong>Grade ${report.grade}</strong> · ${report.cookieCount} cookies checked</div>
+        <small>${counts.high} high · ${counts.medium} medium · ${counts.low} low</small>
+        <div><button class="link-btn" data-action="rerun-audit">Re-run audit</button></div>
+      </div>
+    `;
+    summary.querySelector('[data-action="rerun-audit"]').addEventListener('click', runAudit);
+
+    if (report.findings.length === 0) {
+      setPanelMessage('audit-findings', 'No issues found.');
+      return;
+    }
+
+    list.innerHTML = report.findings.map(finding => `
+      <div class="audit-finding ${finding.severity}">
+        <div class="history-meta">
+          <strong>${escapeHtml(finding.cookie.name)}</strong>
+          <span class="severity">${finding.severity}</span>
+        </div>
+        <div>${escapeHtml(finding.message)}</div>
+        <small>${escapeHtml(finding.cookie.domain)}${escapeHtml(finding.cookie.path)} · ${escapeHtml(finding.rule)}</small>
+      </div>
+    `).join('');
+  }
+
+  // Record cookie writes from a fresh page load; the page reloads, and the overlay reopens on this tab
+  function startConsentRecording() {
+    const cleanStart = getElement('consent-clean-start')?.checked;
+    if (cleanStart && !confirm(`Delete all cookies for ${currentDomain} and reload the page to start recording?`)) {
+      return;
+    }
+
+    sendSecureMessage({
+      type: 'START_CONSENT_RECORDING',
+      storeId: currentStoreId,
+      domain: currentDomain,
+      url: location.href,
+      clearFirst: cleanStart,
+      reload: cleanStart
+    }).then(response => {
+      if (response && response.type === 'CONSENT_RECORDING_STARTED') {
+        loadConsentReport();
+      } else if (response && response.type === 'ERROR') {
+        setPanelMessage('consent-report', `Error: ${response.message}`);
+      }
+    }).catch(error => {
+      console.error('Failed to start consent recording:', error);
+    });
+  }
+
+  function markConsentDecision(decision) {
+    sendSecureMessage({ type: 'MARK_CONSENT_DECISION', decision: decision })
+      .then(handleConsentResponse)
+      .catch(error => console.error('Failed to mark consent decision:', error));
+  }
+
+  function stopConsentRecording() {
+    sendSecureMessage({ type: 'STOP_CONSENT_RECORDING' })
+      .then(handleConsentResponse)
+      .catch(error => console.error('Failed to stop consent recording:', error));
+  }
+
+  function loadConsentReport() {
+    sendSecureMessage({ type: 'GET_CONSENT_REPORT' })
+      .then(handleConsentResponse)
+      .catch(error => console.error('Failed to load consent report:', error));
+  }
+
+  function handleConsentResponse(response) {
+    if (!response) return;
+    if (response.type === 'ERROR') {
+      setPanelMessage('consent-report', `Error: ${response.message}`);
+      return;
+    }
+    if (response.type !== 'CONSENT_REPORT') return;
+
+    const start = getElement('consent-start');
+    const controls = getElement('consent-controls');
+    if (start) start.hidden = response.recording;
+    if (controls) controls.hidden = !response.recording;
+
+    // A finished report stays on screen (and exportable) after recording stops
+    if (response.report) {
+      consentReport = response.report;
+    }
+    renderConsentReport(consentReport, response.recording);
+  }
+
+  function renderConsentReport(report, recording) {
+    const container = getElement('consent-report');
+    const exportBtn = getElement('export-consent-btn');
+    if (!container) return;
+
+    if (exportBtn) exportBtn.hidden = !report;
+    if (!report) {
+      setPanelMessage('consent-report', 'Start recording, then use the markers to note when consent was accepted or rejected.');
+      return;
+    }
+
+    const phaseLabels = { 'before-consent': 'Before consent', accepted: 'After accept', rejected: 'After reject' };
+    const decision = report.decision
+      ? `${report.decision} at ${new Date(report.decisionAt).toLocaleTimeString()}`
+      : 'no decision marked yet';
+
+    container.innerHTML = `
+      <div class="consent-summary ${report.violations.length ? 'has-violations' : ''}">
+        <strong>${recording ? '⏺ Recording' : 'Finished'}</strong> since ${new Date(report.startedAt).toLocaleTimeString()} · ${escapeHtml(decision)}
+        <div>${report.totalEvents} cookie writes · ${report.violations.length} non-essential cookies written without consent${report.unattributed.length ? ` · ${report.unattributed.length} more by other sites` : ''}</div>
+        ${report.droppedEvents ? `<div>Recording is full - ${report.droppedEvents} later writes were not kept. Stop and start again to check them.</div>` : ''}
+        ${report.saveError ? `<div>Could not save the recording: ${escapeHtml(report.saveError)}. It will be lost if the browser stops the extension.</div>` : ''}
+      </div>
+      ${report.violations.map(event => `
+        <div class="audit-finding high">
+          <div class="history-meta">
+            <strong>${escapeHtml(event.name)}</strong>
+            <span class="severity">${escapeHtml(event.category)}</span>
+          </div>
+          <div>${escapeHtml(event.problem)}${event.vendor ? ` · ${escapeHtml(event.vendor)}` : ''}</div>
+          <small>${escapeHtml(event.domain)}${escapeHtml(event.path)} · ${new Date(event.time).toLocaleTimeString()}</small>
+        </div>
+      `).join('')}
+      ${report.unattributed.length ? `
+        <details class="consent-events">
+          <summary>Third-party writes without consent (${report.unattributed.length}) - may come from an embedded tracker or another tab</summary>
+          ${report.unattributed.map(event => `
+            <div class="consent-event">
+              <span class="consent-phase">${escapeHtml(phaseLabels[event.phase] || event.phase)}</span>
+              <strong>${escapeHtml(event.name)}</strong>
+              <small>${escapeHtml(event.domain)} · ${escapeHtml(event.category)}${event.vendor ? ` · ${escapeHtml(event.vendor)}` : ''}</small>
+            </div>
+          `).join('')}
+        </details>
+      ` : ''}
+      <details class="consent-events">
+        <summary>All recorded writes (${report.events.length})</summary>
+        ${report.events.map(event => `
+          <div class="consent-event">
+            <span class="consent-phase">${escapeHtml(phaseLabels[event.phase] || event.phase)}</span>
+            <strong>${escapeHtml(event.name)}</strong>
+            <small>${escapeHtml(event.domain)} · ${escapeHtml(event.category)}</small>
+          </div>
+        `).join('')}
+      </details>
+    `;
+  }
+
+  function exportConsentReport() {
+    if (!consentReport) return;
+    const date = new Date().toISOString().slice(0, 19).replace(/:/g, '-');
+    downloadFile(JSON.stringify(consentReport, null, 2), `consent-report-${currentDomain}-${date}.json`, 'application/json');
+  }
+
+  function isTabActive(tab) {
+    const panel = queryOverlay(`#cookie-extension-overlay .tab-panel[data-panel="${tab}"]`);
+    return !!panel && !panel.hidden;
+  }
+
+  function loadHistory() {
+    sendSecureMessage({
+      type: 'GET_COOKIE_HISTORY',
+      domain: currentDomain
+    }).then(response => {
+      if (response && response.type === 'COOKIE_HISTORY') {
+        historyEntries = response.entries;
+        renderHistory();
+      } else if (response && response.type === 'ERROR') {
+        setPanelMessage('history-list', `Error: ${response.message}`);
+      }
+    }).catch(error => {
+      console.error('Failed to load history:', error);
+      setPanelMessage('history-list', 'Failed to load cookie history.');
+    });
+  }
+
+  // Timeline of recorded changes, filtered by the search box and cause dropdown
+  function renderHistory() {
+    const list = getElement('history-list');
+    if (!list) return;
+
+    const search = (getElement('history-search')?.value || '').toLowerCase();
+    const cause = getElement('history-cause')?.value || '';
+
+    const entries = historyEntries.filter(entry => {
+      if (cause && entry.cause !== cause) return false;
+      if (!search) return true;
+      return [entry.name, entry.oldValue, entry.newValue]
+        .some(text => text && text.toLowerCase().includes(search));
+    });
+
+    if (entries.length === 0) {
+      setPanelMessage('history-list', historyEntries.length === 0
+        ? 'No cookie changes recorded for this domain yet.'
+        : 'No changes match the current filter.');
+      return;
+    }
+
+    list.innerHTML = entries.map(entry => {
+      const action = entry.removed ? 'removed' : (entry.oldValue !== null ? 'changed' : 'set');
+      return `
+        <div class="history-entry ${action}">
+          <div class="history-meta">
+            <span>${new Date(entry.timestamp).toLocaleString()}</span>
+            <span class="history-cause">${escapeHtml(entry.cause)}</span>
+          </div>
+          <div><strong>${escapeHtml(entry.name)}</strong> ${action} <small>${escapeHtml(entry.domain)}${escapeHtml(entry.path)}</small></div>
+          ${entry.oldValue !== null ? `<div class="diff-value old">${escapeHtml(entry.oldValue)}</div>` : ''}
+          ${entry.newValue !== null ? `<div class="diff-value new">${escapeHtml(entry.newValue)}</div>` : ''}
+        </div>
+      `;
+    }).join('');
+  }
+
+  function clearHistory() {
+    if (!confirm(`Clear recorded cookie history for ${currentDomain}?`)) {
+      return;
+    }
+
+    sendSecureMessage({
+      type: 'CLEAR_COOKIE_HISTORY',
+      domain: currentDomain
+    }).then(() => loadHistory())
+      .catch(error => console.error('Failed to clear history:', error));
+  }
+
+  function loadSnapshots() {
+    sendSecureMessage({
+      type: 'LIST_SNAPSHOTS',
+      domain: currentDomain
+    }).then(response => {
+      if (response && response.type === 'SNAPSHOT_LIST') {
+        renderSnapshotList(response.snapshots);
+      } else if (response && response.type === 'ERROR') {
+        setPanelMessage('snapshot-list', `Error: ${response.message}`);
+      }
+    }).catch(error => {
+      console.error('Failed to load snapshots:', error);
+      setPanelMessage('snapshot-list', 'Failed to load snapshots.');
+    });
+  }
+
+  function renderSnapshotList(snapshots) {
+    const list = getElement('snapshot-list');
+    if (!list) return;
+
+    if (snapshots.length === 0) {
+      setPanelMessage('snapshot-list', 'No snapshots saved for this domain yet.');
+      return;
+    }
+
+    list.innerHTML = snapshots.map(snapshot => `
+      <div class="cookie-item snapshot-item">
+        <div class="cookie-name">
+          <strong>${escapeHtml(snapshot.name)}</strong>
+          <small>${snapshot.count} cookies</small>
+        </div>
+        <div class="cookie-details"><small>Saved ${new Date(snapshot.createdAt).toLocaleString()}</small></div>
+        <div class="cookie-actions">
+          <button class="link-btn" data-action="restore" data-name="${escapeHtml(snapshot.name)}">Restore</button>
+          <button class="link-btn" data-action="diff" data-name="${escapeHtml(snapshot.name)}">Diff</button>
+          <button class="link-btn danger" data-action="delete" data-name="${escapeHtml(snapshot.name)}">Delete</button>
+        </div>
+      </div>
+    `).join('');
+  }
+
+  // Plain status text inside any panel container
+  function setPanelMessage(id, text) {
+    const element = getElement(id);
+    if (element) {
+      element.innerHTML = `<div class="status-message">${escapeHtml(text)}</div>`;
+    }
+  }
+
+  function saveSnapshot(event) {
+    event.preventDefault();
+    const input = getElement('snapshot-name');
+    const name = input ? input.value.trim() : '';
+    if (!name) return;
+
+    sendSecureMessage({
+      type: 'SAVE_SNAPSHOT',
+      storeId: currentStoreId,
+      name: name,
+      domain: currentDomain,
+      url: location.href
+    }).then(response => {
+      if (response && response.type === 'SNAPSHOT_SAVED') {
+        input.value = '';
+        loadSnapshots();
+      } else if (response && response.type === 'ERROR') {
+        setPanelMessage('snapshot-diff', `Error: ${response.message}`);
+      }
+    }).catch(error => {
+      console.error('Failed to save snapshot:', error);
+      setPanelMessage('snapshot-diff', 'Failed to save snapshot.');
+    });
+  }
+
+  function handleSnapshotListClick(event) {
+    const button = event.target.closest('button[data-action]');
+    if (!button) return;
+
+    const name = button.dataset.name;
+    switch (button.dataset.action) {
+      case 'restore':
+        restoreSnapshot(name);
+        break;
+      case 'diff':
+        diffSnapshot(name);
+        break;
+      case 'delete':
+        deleteSnapshot(name);
+        break;
+    }
+  }
+
+  function restoreSnapshot(name) {
+    if (!confirm(`Replace all cookies for ${currentDomain} with snapshot "${name}"?`)) {
+      return;
+    }
+
+    sendSecureMessage({
+      type: 'RESTORE_SNAPSHOT',
+      storeId: currentStoreId,
+      name: name,
+      domain: currentDomain,
+      url: location.href
+    }).then(response => {
+      if (response && response.type === 'SNAPSHOT_RESTORED') {
+        const skipped = response.skipped.map(s => `${s.name} (${s.reason})`).join(', ');
+        setPanelMessage('snapshot-diff', `Restored ${response.restored} cookies from "${name}".` +
+          (skipped ? ` Skipped: ${skipped}` : ''));
+        if (cookiesActivelyRequested) {
+          fetchCookiesForDisplay();
+        }
+      } else if (response && response.type === 'ERROR') {
+        setPanelMessage('snapshot-diff', `Error: ${response.message}`);
+      }
+    }).catch(error => {
+      console.error('Failed to restore snapshot:', error);
+      setPanelMessage('snapshot-diff', 'Failed to restore snapshot.');
+    });
+  }
+
+  function diffSnapshot(name) {
+    sendSecureMessage({
+      type: 'DIFF_SNAPSHOT',
+      storeId: currentStoreId,
+      name: name,
+      domain: currentDomain,
+      url: location.href
+    }).then(response => {
+      if (response && response.type === 'SNAPSHOT_DIFF') {
+        renderSnapshotDiff(name, response.diff);
+      } else if (response && response.type === 'ERROR') {
+        setPanelMessage('snapshot-diff', `Error: ${response.message}`);
+      }
+    }).catch(error => {
+      console.error('Failed to diff snapshot:', error);
+      setPanelMessage('snapshot-diff', 'Failed to compare snapshot.');
+    });
+  }
+
+  // Snapshot vs live jar, grouped by kind of change
+  function renderSnapshotDiff(name, diff) {
+    const container = getElement('snapshot-diff');
+    if (!container) return;
+
+    const total = diff.added.length + diff.removed.length + diff.valueChanged.length + diff.attributeChanged.length;
+    if (total === 0) {
+      setPanelMessage('snapshot-diff', `Live cookies match snapshot "${name}".`);
+      return;
+    }
+
+    const section = (title, className, rows) => rows.length === 0 ? '' : `
+      <div class="diff-section ${className}">
+        <div class="diff-title">${title} (${rows.length})</div>
+        ${rows.join('')}
+      </div>
+    `;
+    const label = cookie => `<strong>${escapeHtml(cookie.name)}</strong> <small>${escapeHtml(cookie.domain)}${escapeHtml(cookie.path)}</small>`;
+
+    container.innerHTML = `
+      <div class="cookies-header">Snapshot "${escapeHtml(name)}" → live</div>
+      ${section('Added', 'added', diff.added.map(c => `<div class="diff-row">${label(c)}</div>`))}
+      ${section('Removed', 'removed', diff.removed.map(c => `<div class="diff-row">${label(c)}</div>`))}
+      ${section('Value changed', 'changed', diff.valueChanged.map(change => `
+        <div class="diff-row">
+          ${label(change.cookie)}
+          <div class="diff-value old">${escapeHtml(change.oldValue)}</div>
+          <div class="diff-value new">${escapeHtml(change.newValue)}</div>
+        </div>
+      `))}
+      ${section('Attributes changed', 'changed', diff.attributeChanged.map(change => `
+        <div class="diff-row">${label(change.cookie)} <small>${escapeHtml(change.attributes.join(', '))}</small></div>
+      `))}
+    `;
+  }
+
+  function deleteSnapshot(name) {
+    if (!confirm(`Delete snapshot "${name}"?`)) {
+      return;
+    }
+
+    sendSecureMessage({
+      type: 'DELETE_SNAPSHOT',
+      name: name,
+      domain: currentDomain
+    }).then(() => loadSnapshots())
+      .catch(error => console.error('Failed to delete snapshot:', error));
+  }
+
+  // Edit / delete / cancel buttons inside the cookie list and the add form
+  function handleCookieListClick(event) {
+    const button = event.target.closest('button[data-action]');
+    if (!button) return;
+
+    const index = Number(button.dataset.index);
+    switch (button.dataset.action) {
+      case 'edit':
+        openCookieEditor(index);
+        break;
+      case 'delete':
+        deleteCookie(displayedCookies[index]);
+        break;
+      case 'cancel-edit':
+        closeCookieEditors();
+        break;
+      case 'toggle-decoded':
+        toggleDecodedView(displayedCookies[index]);
+        break;
+      case 'toggle-trace':
+        toggleTraceView(displayedCookies[index]);
+        break;
+      case 'filter-category':
+        filterByCategory(button.dataset.category);
+        break;
+      case 'remove-tracking':
+        removeTrackingCookies();
+        break;
+      case 'reset-tracker-list':
+        saveTrackerList(null);
+        break;
+      case 'toggle-watch':
+        toggleExpiryWatch(displayedCookies[index]);
+        break;
+      case 'toggle-protect':
+        toggleProtection(displayedCookies[index]);
+        break;
+      case 'preview-import':
+        previewImport();
+        break;
+      case 'confirm-import':
+        confirmImport();
+        break;
+    }
+  }
+
+  // Paste box / file picker for cookies.txt or JSON, shown in place of the add form
+  function showImportPanel() {
+    closeCookieEditors();
+    const container = getElement('cookie-add-form');
+    if (!container) return;
+
+    pendingImport = [];
+    container.innerHTML = `
+      <form class="cookie-editor cookie-import" data-index="-2">
+        <label>Paste JSON or cookies.txt <textarea name="importText" rows="5"></textarea></label>
+        <label>…or choose a file <input name="importFile" type="file" accept=".txt,.json,application/json,text/plain"></label>
+        <div class="import-preview"></div>
+        <div class="editor-errors"></div>
+        <div class="editor-actions">
+          <button type="button" class="secondary-btn" data-action="preview-import">Preview</button>
+          <button type="button" class="primary-btn" data-action="confirm-import" disabled>Import</button>
+          <button type="button" class="secondary-btn" data-action="cancel-edit">Cancel</button>
+        </div>
+      </form>
+    `;
+    container.querySelector('textarea[name="importText"]')?.focus();
+  }
+
+  // Load an uploaded file into the paste box so preview has a single source
+  function handleImportFileChange(event) {
+    if (event.target.name !== 'importFile' || !event.target.files.length) return;
+
+    const form = event.target.closest('.cookie-import');
+    event.target.files[0].text().then(text => {
+      form.elements.importText.value = text;
+      previewImport();
+    }).catch(error => {
+      console.error('Failed to read import file:', error);
+      showEditorErrors(form, ['Could not read the selected file.']);
+    });
+  }
+
+  function previewImport() {
+    const form = queryOverlay('#cookie-extension-overlay .cookie-import');
+    if (!form) return;
+
+    showEditorErrors(form, []);
+    sendSecureMessage({
+      type: 'PREVIEW_COOKIE_IMPORT',
+      storeId: currentStoreId,
+      text: form.elements.importText.value,
+      domain: currentDomain,
+      url: location.href
+    }).then(response => {
+      if (response && response.type === 'COOKIE_IMPORT_PREVIEW') {
+        renderImportPreview(form, response.entries);
+      } else if (response && response.type === 'ERROR') {
+        showEditorErrors(form, [response.message]);
+      }
+    }).catch(error => {
+      console.error('Failed to preview import:', error);
+      showEditorErrors(form, ['Failed to preview import. Please try again.']);
+    });
+  }
+
+  // One line per cookie saying whether it will be created, overwritten or rejected (and why)
+  function renderImportPreview(form, entries) {
+    const statusLabels = { create: 'New', overwrite: 'Overwrite', reject: 'Rejected' };
+    pendingImport = entries.filter(entry => entry.status !== 'reject').map(entry => entry.cookie);
+
+    form.querySelector('.import-preview').innerHTML = entries.length === 0
+      ? '<div class="status-message">No cookies found in the import.</div>'
+      : entries.map(entry => `
+        <div class="import-entry ${entry.status}">
+          <span class="import-status">${statusLabels[entry.status]}</span>
+          <strong>${escapeHtml(entry.cookie.name)}</strong>
+          <small>${escapeHtml(entry.cookie.domain)}${escapeHtml(entry.cookie.path)}</small>
+          ${entry.reasons.map(reason => `<div class="import-reason">${escapeHtml(reason)}</div>`).join('')}
+        </div>
+      `).join('');
+
+    const importBtn = form.querySelector('[data-action="confirm-import"]');
+    importBtn.disabled = pendingImport.length === 0;
+    importBtn.textContent = `Import ${pendingImport.length} cookie${pendingImport.length === 1 ? '' : 's'}`;
+  }
+
+  function confirmImport() {
+    const form = queryOverlay('#cookie-extension-overlay .cookie-import');
+    if (!form || pendingImport.length === 0) return;
+
+    sendSecureMessage({
+      type: 'IMPORT_COOKIES',
+      storeId: currentStoreId,
+      cookies: pendingImport,
+      domain: currentDomain,
+      url: location.href
+    }).then(response => {
+      if (response && response.type === 'COOKIES_IMPORTED') {
+        if (response.failed.length > 0) {
+          showEditorErrors(form, response.failed.map(f => `${f.name}: ${f.errors.join(', ')}`));
+        } else {
+          closeCookieEditors();
+        }
+        pendingImport = [];
+        fetchCookiesForDisplay();
+      } else if (response && response.type === 'ERROR') {
+        showEditorErrors(form, [response.message]);
+      }
+    }).catch(error => {
+      console.error('Failed to import cookies:', error);
+      showEditorErrors(form, ['Failed to import cookies. Please try again.']);
+    });
+  }
+
+  function toggleDecodedView(cookie) {
+    if (!cookie) return;
+    const key = cookieKey(cookie);
+    if (decodedViewKeys.has(key)) {
+      decodedViewKeys.delete(key);
+    } else {
+      decodedViewKeys.add(key);
+    }
+    renderCookieList();
+  }
+
+  function renderCategoryBadge(cookie) {
+    if (!cookie.classification) return '';
+    const { category, vendor } = cookie.classification;
+    return `<span class="category-badge category-${escapeHtml(category)}" title="${escapeHtml(vendor || COOKIE_CATEGORIES[category] || category)}">
+      ${escapeHtml(COOKIE_CATEGORIES[category] || category)}
+    </span>`;
+  }
+
+  // Whether the cookie goes out with requests for this URL; the reasons if not are listed in its details
+  function renderScopeBadge(cookie) {
+    if (!cookie.scope) return '';
+    return cookie.scope.sent
+      ? '<span class="scope-badge sent" title="Attached to requests for this URL">Sent</span>'
+      : `<span class="scope-badge not-sent" title="${escapeHtml(cookie.scope.reasons.join('; '))}">Not sent</span>`;
+  }
+
+  // Category breakdown with a filter per category, "remove tracking cookies" and the tracker list in use
+  function renderClassificationSummary(cookies) {
+    const counts = {};
+    cookies.forEach(cookie => {
+      const category = cookie.classification ? cookie.classification.category : null;
+      if (category) counts[category] = (counts[category] || 0) + 1;
+    });
+    const trackingCount = (counts.analytics || 0) + (counts.advertising || 0);
+
+    if (!trackerListInfo) {
+      loadTrackerListInfo();
+    }
+    const listText = trackerListInfo
+      ? `${trackerListInfo.source === 'custom' ? 'Custom' : 'Bundled'} tracker list ${escapeHtml(trackerListInfo.version)}`
+      : 'Tracker list';
+
+    return `
+      <div class="classification-summary">
+        <div class="category-chips">
+          ${Object.entries(COOKIE_CATEGORIES).map(([category, label]) => `
+            <button class="category-chip category-${category}" data-action="filter-category" data-category="${category}"
+              ${counts[category] ? '' : 'disabled'}>${label}: ${counts[category] || 0}</button>
+          `).join('')}
+        </div>
+        <div class="classification-actions">
+          <button class="link-btn danger" data-action="remove-tracking" ${trackingCount ? '' : 'disabled'}>
+            Remove all tracking cookies (${trackingCount})
+          </button>
+          <span class="tracker-list-info">
+            ${listText} ·
+            <label class="link-btn">Load list…<input type="file" name="trackerListFile" accept=".json,application/json" hidden></label>
+            ${trackerListInfo && trackerListInfo.source === 'custom'
+              ? '<button class="link-btn" data-action="reset-tracker-list">Use bundled</button>' : ''}
+          </span>
+        </div>
+      </div>
+    `;
+  }
+
+  function loadTrackerListInfo() {
+    sendSecureMessage({ type: 'GET_TRACKER_LIST' }).then(response => {
+      if (response && response.type === 'TRACKER_LIST') {
+        trackerListInfo = response;
+        renderCookieList();
+      }
+    }).catch(error => {
+      console.error('Failed to load tracker list info:', error);
+    });
+  }
+
+  function filterByCategory(category) {
+    const select = getElement('filter-category');
+    if (!select) return;
+    select.value = select.value === category ? '' : category;
+    renderCookieList();
+  }
+
+  function removeTrackingCookies() {
+    const count = allCookies.filter(cookie => cookie.classification &&
+      ['analytics', 'advertising'].includes(cookie.classification.category)).length;
+    if (!confirm(`Remove ${count} analytics and advertising cookies for ${currentDomain}?`)) {
+      return;
+    }
+
+    sendSecureMessage({
+      type: 'REMOVE_TRACKING_COOKIES',
+      storeId: currentStoreId,
+      domain: currentDomain,
+      url: location.href
+    }).then(response => {
+      if (response && response.type === 'TRACKING_COOKIES_REMOVED') {
+        console.log('Removed tracking cookies:', response.removed);
+        showUndoToast(`Removed ${response.removed} tracking cookies`, response.trashBatchId);
+        if (response.failed.length > 0) {
+          alert(`Removed ${response.removed} tracking cookies; ${response.failed.length} could not be removed.`);
+        }
+      } else if (response && response.type === 'ERROR') {
+        alert(response.message);
+      }
+    }).catch(error => {
+      console.error('Failed to remove tracking cookies:', error);
+    });
+  }
+
+  // A tracker list JSON picked in the summary replaces the bundled one
+  function handleTrackerListFileChange(event) {
+    if (event.target.name !== 'trackerListFile' || !event.target.files.length) return;
+
+    event.target.files[0].text().then(text => {
+      saveTrackerList(JSON.parse(text));
+    }).catch(error => {
+      console.error('Failed to read tracker list:', error);
+      alert('The selected file is not valid JSON.');
+    });
+  }
+
+  function saveTrackerList(list) {
+    sendSecureMessage({ type: 'SAVE_TRACKER_LIST', list: list }).then(response => {
+      if (response && response.type === 'TRACKER_LIST_SAVED') {
+        trackerListInfo = null;
+        // Refetch so every cookie is classified with the new list
+        fetchCookiesForDisplay();
+      } else if (response && response.type === 'TRACKER_LIST_VALIDATION_ERROR') {
+        alert('Tracker list rejected:\n' + response.errors.join('\n'));
+      }
+    }).catch(error => {
+      console.error('Failed to save tracker list:', error);
+    });
+  }
+
+  function toggleTraceView(cookie) {
+    if (!cookie) return;
+    const key = cookieKey(cookie);
+    if (tracedViewKeys.has(key)) {
+      tracedViewKeys.delete(key);
+    } else {
+      tracedViewKeys.add(key);
+    }
+    renderCookieList();
+  }
+
+  // Turn request tracing on or off for this tab
+  function toggleRequestTracing() {
+    const type = requestTracing ? 'STOP_REQUEST_TRACE' : 'START_REQUEST_TRACE';
+    sendSecureMessage({ type: type }).then(response => {
+      if (response && response.type === 'REQUEST_TRACE_STARTED') {
+        setRequestTracing(true);
+      } else if (response && response.type === 'REQUEST_TRACE_STOPPED') {
+        setRequestTracing(false);
+      } else {
+        alert(response && response.message ? response.message : 'Failed to change request tracing.');
+      }
+    }).catch(error => {
+      console.error('Request tracing error:', error);
+    });
+  }
+
+  function setRequestTracing(enabled) {
+    requestTracing = enabled;
+    const button = getElement('trace-requests-btn');
+    if (button) {
+      button.textContent = enabled ? '⏺ Tracing Requests' : 'Trace Requests';
+      button.classList.toggle('active', enabled);
+    }
+    if (displayedCookies.length > 0) {
+      renderCookieList();
+    }
+  }
+
+  // Fill every expanded trace box in the list with that cookie's request events
+  function loadCookieTraces() {
+    queryOverlayAll('#cookie-list .cookie-trace').forEach(container => {
+      const cookie = displayedCookies[Number(container.dataset.index)];
+      if (!cookie) return;
+
+      sendSecureMessage({
+        type: 'GET_COOKIE_TRACE',
+        name: cookie.name,
+        domain: cookie.domain
+      }).then(response => {
+        if (!response || response.type !== 'COOKIE_TRACE') {
+          container.textContent = response && response.message ? response.message : 'Failed to load request trace.';
+          return;
+        }
+        if (response.tracing !== requestTracing) {
+          setRequestTracing(response.tracing);
+          return;
+        }
+        container.innerHTML = renderCookieTrace(response.events);
+      }).catch(error => {
+        console.error('Failed to load cookie trace:', error);
+      });
+    });
+  }
+
+  function renderCookieTrace(events) {
+    if (events.length === 0) {
+      return `<div class="trace-empty">${requestTracing
+        ? 'No requests have sent or set this cookie since tracing started. Reload the page to capture them.'
+        : 'Request tracing is off. Click "Trace Requests", then reload the page.'}</div>`;
+    }
+
+    const labels = { sent: '→ Sent', blocked: '⊘ Withheld', set: '← Set', rejected: '✕ Rejected' };
+    return events.map(event => `
+      <div class="trace-event trace-${escapeHtml(event.direction)}">
+        <div class="trace-line">
+          <span class="trace-direction">${escapeHtml(labels[event.direction] || event.direction)}</span>
+          <span class="trace-method">${escapeHtml(event.method)}</span>
+          <span class="trace-url" title="${escapeHtml(event.url)}">${escapeHtml(event.url)}</span>
+        </div>
+        <div class="trace-meta">
+          ${new Date(event.time).toLocaleTimeString()} · ${escapeHtml(event.resourceType)}
+          ${event.crossSite ? ` · cross-site from ${escapeHtml(event.initiator)}` : ''}
         </div>
-        <div id="cookie-list" class="cookie-list"></div>
+        ${event.reason ? `<div class="trace-reason">${escapeHtml(event.reason)}</div>` : ''}
+        ${event.header ? `<code class="trace-header">Set-Cookie: ${escapeHtml(event.header)}</code>` : ''}
       </div>
-    `;
+    `).join('');
+  }
 
-    // Insert overlay into page with error handling
-    try {
-      document.body.appendChild(overlay);
-      overlayVisible = true;
-      setupEventListeners();
-      checkInitialPermissionState();
-    } catch (error) {
-      console.error('Cookie Extension: Failed to create overlay', error);
+  // Show the inline editor inside a cookie row
+  function openCookieEditor(index) {
+    const cookie = displayedCookies[index];
+    const item = queryOverlay(`#cookie-list .cookie-item[data-index="${index}"]`);
+    if (!cookie || !item) return;
+
+    closeCookieEditors();
+    item.insertAdjacentHTML('beforeend', renderCookieEditor(cookie, index));
+    item.querySelector('input[name="name"]')?.focus();
+  }
+
+  // Empty editor above the list for creating a brand new cookie
+  function showAddCookieForm() {
+    closeCookieEditors();
+    const container = getElement('cookie-add-form');
+    if (!container) return;
+
+    container.innerHTML = renderCookieEditor({
+      name: '',
+      value: '',
+      domain: currentDomain,
+      hostOnly: true,
+      path: '/',
+      secure: location.protocol === 'https:',
+      httpOnly: false,
+      sameSite: 'lax'
+    }, -1);
+    container.querySelector('input[name="name"]')?.focus();
+  }
+
+  function closeCookieEditors() {
+    queryOverlayAll('#cookie-extension-overlay .cookie-editor').forEach(form => form.remove());
+
+    // Apply any real-time update we held back while the user was typing
+    if (deferredCookieUpdate) {
+      const cookies = deferredCookieUpdate;
+      deferredCookieUpdate = null;
+      displayCookies(cookies);
     }
   }
 
-  // Important: Always escape HTML to prevent XSS attacks
-  function escapeHtml(text) {
-    const div = document.createElement('div');
-    div.textContent = text;
-    return div.innerHTML;
+  function isCookieEditorOpen() {
+    return !!queryOverlay('#cookie-extension-overlay .cookie-editor');
   }
 
-  // Wire up all the button clicks and interactions
-  function setupEventListeners() {
-    const overlay = document.getElementById('cookie-extension-overlay');
-    if (!overlay) return;
+  // Build the editor form - index -1 means "add new cookie"
+  function renderCookieEditor(cookie, index) {
+    const sameSiteOptions = ['unspecified', 'no_restriction', 'lax', 'strict'];
+    const sameSite = cookie.sameSite || 'unspecified';
 
-    // Close overlay
-    overlay.querySelector('#close-overlay')?.addEventListener('click', hideOverlay);
+    return `
+      <form class="cookie-editor" data-index="${index}">
+        <label>Name <input name="name" type="text" value="${escapeHtml(cookie.name)}" required></label>
+        <label>Value <textarea name="value" rows="2">${escapeHtml(cookie.value || '')}</textarea></label>
+        <label>Domain <input name="domain" type="text" value="${escapeHtml(cookie.domain.replace(/^\./, ''))}"></label>
+        <label>Path <input name="path" type="text" value="${escapeHtml(cookie.path || '/')}"></label>
+        <label>Partition (top-level site, CHIPS) <input name="partitionSite" type="text" placeholder="unpartitioned" value="${escapeHtml(partitionSite(cookie))}"></label>
+        <label>Expires <input name="expirationDate" type="datetime-local" value="${cookie.expirationDate ? toDateTimeLocal(cookie.expirationDate) : ''}"></label>
+        <label>SameSite
+          <select name="sameSite">
+            ${sameSiteOptions.map(option => `<option value="${option}" ${option === sameSite ? 'selected' : ''}>${option}</option>`).join('')}
+          </select>
+        </label>
+        <div class="editor-flags">
+          <label><input name="hostOnly" type="checkbox" ${cookie.hostOnly ? 'checked' : ''}> Host only</label>
+          <label><input name="secure" type="checkbox" ${cookie.secure ? 'checked' : ''}> Secure</label>
+          <label><input name="httpOnly" type="checkbox" ${cookie.httpOnly ? 'checked' : ''}> HttpOnly</label>
+        </div>
+        <small class="editor-hint">Leave Expires empty for a session cookie.</small>
+        <div class="editor-errors"></div>
+        <div class="editor-actions">
+          <button type="submit" class="primary-btn">${index === -1 ? 'Create' : 'Save'}</button>
+          <button type="button" class="secondary-btn" data-action="cancel-edit">Cancel</button>
+        </div>
+      </form>
+    `;
+  }
 
-    // Permission button - handles both permission request and cookie fetching
-    overlay.querySelector('#cookie-permission-btn')?.addEventListener('click', handleCookiePermissionButton);
+  // datetime-local inputs want local time without seconds or timezone
+  function toDateTimeLocal(seconds) {
+    const date = new Date(seconds * 1000);
+    const offset = date.getTimezoneOffset() * 60000;
+    return new Date(date.getTime() - offset).toISOString().slice(0, 16);
+  }
 
-    // Cookie management buttons
-    overlay.querySelector('#clear-cookies-btn')?.addEventListener('click', clearDomainCookies);
-    overlay.querySelector('#revoke-permission-btn')?.addEventListener('click', revokePermission);
+  // Collect the form and hand it to the background script for validation and saving
+  function handleCookieEditorSubmit(event) {
+    const form = event.target.closest('.cookie-editor');
+    if (!form) return;
+    event.preventDefault();
+
+    if (form.classList.contains('cookie-import')) {
+      previewImport();
+      return;
+    }
+
+    const index = Number(form.dataset.index);
+    const original = index >= 0 ? displayedCookies[index] : null;
+    const expiry = form.elements.expirationDate.value;
+
+    const cookie = {
+      name: form.elements.name.value.trim(),
+      value: form.elements.value.value,
+      domain: form.elements.domain.value.trim(),
+      path: form.elements.path.value.trim() || '/',
+      expirationDate: expiry ? Math.floor(new Date(expiry).getTime() / 1000) : null,
+      sameSite: form.elements.sameSite.value,
+      hostOnly: form.elements.hostOnly.checked,
+      secure: form.elements.secure.checked,
+      httpOnly: form.elements.httpOnly.checked,
+      storeId: original ? original.storeId : currentStoreId,
+      partitionKey: form.elements.partitionSite.value.trim()
+        ? { topLevelSite: form.elements.partitionSite.value.trim() }
+        : undefined
+    };
+
+    sendSecureMessage({
+      type: 'SET_COOKIE',
+      cookie: cookie,
+      original: original,
+      url: location.href
+    }).then(response => {
+      if (response && response.type === 'COOKIE_SAVED') {
+        closeCookieEditors();
+        fetchCookiesForDisplay();
+      } else if (response && response.type === 'COOKIE_VALIDATION_ERROR') {
+        showEditorErrors(form, response.errors);
+      } else if (response && response.type === 'ERROR') {
+        showEditorErrors(form, [response.message]);
+      }
+    }).catch(error => {
+      console.error('Failed to save cookie:', error);
+      showEditorErrors(form, ['Failed to save cookie. Please try again.']);
+    });
+  }
+
+  function showEditorErrors(form, errors) {
+    const container = form.querySelector('.editor-errors');
+    if (!container) return;
+    container.innerHTML = errors.map(error => `<div>${escapeHtml(error)}</div>`).join('');
+  }
+
+  // Remove just one cookie instead of the whole domain
+  function deleteCookie(cookie) {
+    if (!cookie) return;
+    if (!confirm(`Delete cookie "${cookie.name}" (${cookie.domain}${cookie.path})?`)) {
+      return;
+    }
+
+    sendSecureMessage({
+      type: 'DELETE_COOKIE',
+      cookie: cookie
+    }).then(response => {
+      if (response && response.type === 'COOKIE_DELETED') {
+        fetchCookiesForDisplay();
+        showUndoToast(`Deleted ${cookie.name}`, response.trashBatchId);
+      } else if (response && response.type === 'ERROR') {
+        updateCookieList(`Error: ${response.message}`);
+      }
+    }).catch(error => {
+      console.error('Failed to delete cookie:', error);
+      updateCookieList('Failed to delete cookie. Please try again.');
+    });
   }
 
   // Check what permissions we already have when overlay first opens
@@ -111,7 +2203,7 @@
 
   // This button does double duty - requests permission OR shows cookies
   function handleCookiePermissionButton() {
-    const btn = document.getElementById('cookie-permission-btn');
+    const btn = getElement('cookie-permission-btn');
     if (!btn) return;
     
     const buttonText = btn.textContent;
@@ -137,8 +2229,10 @@
   function fetchCookiesForDisplay() {
     sendSecureMessage({
       type: 'FETCH_COOKIES',
+      storeId: currentStoreId,
       domain: currentDomain,
-      url: location.href
+      url: location.href,
+      sameSiteContext: getElement('samesite-context')?.value
     }).catch(error => {
       console.error('Failed to fetch cookies:', error);
       updateCookieList('Failed to fetch cookies. Please try again.');
@@ -183,7 +2277,8 @@
 
   // Nuclear option - delete all cookies for this domain
   function clearDomainCookies() {
-    if (!confirm(`Are you sure you want to clear all cookies for ${currentDomain}?`)) {
+    const scope = getElement('clear-scope')?.value || 'relevant';
+    if (!confirm(`Are you sure you want to clear cookies for ${currentDomain} (${CLEAR_SCOPES[scope].toLowerCase()})?`)) {
       return;
     }
     
@@ -191,14 +2286,76 @@
     
     sendSecureMessage({
       type: 'CLEAR_DOMAIN_COOKIES',
+      storeId: currentStoreId,
       domain: currentDomain,
-      url: location.href
+      url: location.href,
+      scope: scope,
+      sameSiteContext: getElement('samesite-context')?.value
     }).catch(error => {
       console.error('Failed to clear cookies:', error);
       updateCookieList('Failed to clear cookies. Please try again.');
     });
   }
 
+  // For copies started by a shortcut or menu click: the page has no user activation or focus then, so the
+  // async clipboard API usually refuses. execCommand('copy') still works thanks to the clipboardWrite permission.
+  function copyToClipboard(text) {
+    return navigator.clipboard.writeText(text).catch(() => {
+      const textarea = document.createElement('textarea');
+      textarea.value = text;
+      textarea.style.cssText = 'position: fixed; top: -1000px; opacity: 0;';
+      const previousFocus = document.activeElement;
+      document.documentElement.appendChild(textarea);
+      textarea.select();
+      const copied = document.execCommand('copy');
+      textarea.remove();
+      if (previousFocus && previousFocus.focus) previousFocus.focus();
+      if (!copied) {
+        throw new Error('The browser refused the clipboard write');
+      }
+    });
+  }
+
+  // Ask the background script to serialize cookies, then download or copy the result
+  function exportCookies(toClipboard) {
+    const format = getElement('export-format')?.value || 'netscape';
+
+    sendSecureMessage({
+      type: 'EXPORT_COOKIES',
+      storeId: currentStoreId,
+      format: format,
+      domain: currentDomain,
+      url: location.href
+    }).then(response => {
+      if (response && response.type === 'COOKIES_EXPORTED') {
+        if (toClipboard) {
+          navigator.clipboard.writeText(response.content)
+            .catch(error => console.error('Clipboard write failed:', error));
+        } else {
+          downloadFile(response.content, response.filename, response.mimeType);
+        }
+      } else if (response && response.type === 'ERROR') {
+        updateCookieList(`Error: ${response.message}`);
+      }
+    }).catch(error => {
+      console.error('Failed to export cookies:', error);
+      updateCookieList('Failed to export cookies. Please try again.');
+    });
+  }
+
+  // Trigger a download without leaving anything behind in the page
+  function downloadFile(content, filename, mimeType) {
+    const url = URL.createObjectURL(new Blob([content], { type: mimeType }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    link.style.display = 'none';
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  }
+
   // Let user take back permission if they want
   function revokePermission() {
     if (!confirm('Are you sure you want to revoke cookie access? This will hide all cookie data.')) {
@@ -223,17 +2380,29 @@
 
   // Clean up when user closes the overlay
   function hideOverlay() {
-    const overlay = document.getElementById('cookie-extension-overlay');
-    if (overlay) {
-      overlay.remove();
+    if (overlayHost) {
+      overlayHost.remove();
+      overlayHost = null;
+      overlayRoot = null;
       overlayVisible = false;
+      // Hand focus back to wherever the user was on the page
+      if (previouslyFocused && typeof previouslyFocused.focus === 'function') {
+        previouslyFocused.focus();
+      }
+      previouslyFocused = null;
       cookiesActivelyRequested = false; // Reset state
+      showCookiesWhenReady = false;
+      allCookies = [];
+      displayedCookies = [];
+      currentStoreId = null;
+      deferredCookieUpdate = null;
+      historyEntries = [];
     }
   }
 
   // Helper to update the main permission button
   function updatePermissionButton(text, disabled = false) {
-    const btn = document.getElementById('cookie-permission-btn');
+    const btn = getElement('cookie-permission-btn');
     if (btn) {
       btn.textContent = text;
       btn.disabled = disabled;
@@ -243,7 +2412,7 @@
   // This updates the cookie display area with content or error messages
   function updateCookieList(content) {
     console.log('updateCookieList called with content type:', typeof content);
-    const listElement = document.getElementById('cookie-list');
+    const listElement = getElement('cookie-list');
     console.log('Cookie list element found:', !!listElement);
     
     if (listElement) {
@@ -267,8 +2436,8 @@
 
   // Show permission granted state
   function showPermissionGranted() {
-    const permissionBtn = document.getElementById('cookie-permission-btn');
-    const cookieControls = document.getElementById('cookie-controls');
+    const permissionBtn = getElement('cookie-permission-btn');
+    const cookieControls = getElement('cookie-controls');
     
     if (permissionBtn) {
       // Change button to "Show Cookies" as per requirements
@@ -281,8 +2450,63 @@
       cookieControls.style.display = 'block';
     }
     
-    // Never auto-fetch cookies - user must always click "Show Cookies"
+    loadCookieStores();
+    loadWatchedCookies();
+    loadProtectedCookies();
+
+    // Never auto-fetch cookies - user must always click "Show Cookies" (or press its shortcut)
     updateCookieList('Click "Show Cookies" to view cookies for this domain.');
+    if (showCookiesWhenReady) {
+      showCookiesWhenReady = false;
+      handleCookiePermissionButton();
+    }
+  }
+
+  // Read-only list of what a request to a link on this page would carry - the cookies come from the
+  // context menu, so they can belong to another site than the one the overlay is for
+  function showLinkCookies(url, sameSiteContext, cookies) {
+    if (!overlayHost) {
+      createOverlay();
+    }
+    switchTab('cookies');
+
+    const panel = getElement('link-cookies');
+    if (!panel) return;
+
+    const sent = cookies.filter(cookie => cookie.scope && cookie.scope.sent);
+    const notSent = cookies.length - sent.length;
+    panel.innerHTML = `
+      <div class="history-meta">
+        <strong>Sent to ${escapeHtml(url)}</strong>
+        <button class="link-btn" data-action="close-link-cookies" aria-label="Close">✕</button>
+      </div>
+      <small>${escapeHtml(SAME_SITE_CONTEXTS[sameSiteContext] || sameSiteContext)} ·
+        ${sent.length} sent${notSent ? `, ${notSent} stored for the site but not sent` : ''}</small>
+      ${sent.length === 0 ? '<div class="status-message">No cookies would be sent.</div>' : sent.map(cookie => `
+        <div class="link-cookie">
+          <code>${escapeHtml(cookie.name)}</code> ${escapeHtml(cookie.domain)}${escapeHtml(cookie.path)}
+          ${renderCategoryBadge(cookie)}
+        </div>
+      `).join('')}
+    `;
+    panel.hidden = false;
+  }
+
+  // "Show cookies" shortcut: open the overlay if needed and press Show Cookies, or point at Grant Cookie Access
+  function runShowCookiesCommand() {
+    if (!overlayHost) {
+      showCookiesWhenReady = true;
+      createOverlay();
+      return;
+    }
+
+    switchTab('cookies');
+    const btn = getElement('cookie-permission-btn');
+    if (btn && btn.textContent === 'Show Cookies') {
+      handleCookiePermissionButton();
+    } else if (btn) {
+      btn.focus();
+    }
   }
 
   // Show permission denied state
@@ -290,14 +2514,14 @@
     updatePermissionButton('Access Denied', true); // Disabled as per requirements
     updateCookieList('Cookie access denied. The extension needs cookie permission to display cookies for this domain.');
     
-    const cookieControls = document.getElementById('cookie-controls');
+    const cookieControls = getElement('cookie-controls');
     if (cookieControls) {
       cookieControls.style.display = 'none';
     }
     
     // Add a way for user to try again after some time
     setTimeout(() => {
-      const btn = document.getElementById('cookie-permission-btn');
+      const btn = getElement('cookie-permission-btn');
       if (btn && btn.textContent === 'Access Denied') {
         btn.textContent = 'Grant Cookie Access';
         btn.disabled = false;
@@ -307,8 +2531,8 @@
 
   // Show permission revoked state
   function showPermissionRevoked() {
-    const permissionBtn = document.getElementById('cookie-permission-btn');
-    const cookieControls = document.getElementById('cookie-controls');
+    const permissionBtn = getElement('cookie-permission-btn');
+    const cookieControls = getElement('cookie-controls');
     
     if (permissionBtn) {
       permissionBtn.style.display = 'block';
@@ -322,6 +2546,13 @@
     
     // Reset the actively requested flag
     cookiesActivelyRequested = false;
+    switchTab('cookies');
+
+    currentStoreId = null;
+    const storeInfo = getElement('store-info');
+    if (storeInfo) {
+      storeInfo.hidden = true;
+    }
     
     updateCookieList('Cookie permission revoked. Click "Grant Cookie Access" to access cookies again.');
   }
@@ -329,45 +2560,528 @@
   // Display cookies in a secure, formatted way
   function displayCookies(cookies) {
     console.log('displayCookies called with:', cookies);
+    allCookies = cookies || [];
+
+    const toolbar = getElement('cookie-toolbar');
+    if (toolbar) {
+      toolbar.hidden = allCookies.length === 0;
+    }
     
     if (!cookies || cookies.length === 0) {
       console.log('No cookies to display');
+      displayedCookies = [];
       updateCookieList('No cookies found for this domain.');
       return;
     }
 
-    console.log(`Displaying ${cookies.length} cookies`);
-    let html = '<div class="cookies-header">Cookies for this domain:</div>';
+    renderCookieList();
+  }
+
+  // Apply the toolbar's search, filters and sort to allCookies and render the result
+  function renderCookieList() {
+    const cookies = groupByPartition(filterAndSortCookies(allCookies));
+    displayedCookies = cookies;
+    const hasPartitions = cookies.some(cookie => partitionSite(cookie));
+
+    console.log(`Displaying ${cookies.length} of ${allCookies.length} cookies`);
+    const countText = cookies.length === allCookies.length
+      ? `${allCookies.length}`
+      : `${cookies.length} of ${allCookies.length}`;
+    const sentCount = allCookies.filter(cookie => cookie.scope && cookie.scope.sent).length;
+    let html = `<div class="cookies-header">Cookies for this domain (${countText}, ${sentCount} sent to this URL):</div>`;
+    html += renderClassificationSummary(allCookies);
+    html += renderSizeAnalysis(analyzeCookieSizes(allCookies, window.location.href));
+
+    if (cookies.length === 0) {
+      html += '<div class="status-message">No cookies match the current filters.</div>';
+    }
     
     cookies.forEach((cookie, index) => {
+      // Partition group headings, only when CHIPS cookies are present
+      if (hasPartitions && (index === 0 || partitionSite(cookies[index - 1]) !== partitionSite(cookie))) {
+        html += `<div class="partition-header">${partitionSite(cookie)
+          ? `Partitioned · top-level site ${escapeHtml(partitionSite(cookie))}`
+          : 'Unpartitioned'}</div>`;
+      }
+
       const isSecure = cookie.secure ? '🔒' : '🔓';
       const isHttpOnly = cookie.httpOnly ? '🚫' : '👁️';
       const sameSite = cookie.sameSite || 'none';
       
       html += `
-        <div class="cookie-item" data-index="${index}">
+        <div class="cookie-item" data-index="${index}" tabindex="0" aria-label="Cookie ${escapeHtml(cookie.name)}">
           <div class="cookie-name">
             <strong>${escapeHtml(cookie.name)}</strong>
             <span class="cookie-flags">
               <span title="${cookie.secure ? 'Secure' : 'Not Secure'}">${isSecure}</span>
               <span title="${cookie.httpOnly ? 'HTTP Only' : 'Accessible via JavaScript'}">${isHttpOnly}</span>
-              <span title="SameSite: ${sameSite}" class="samesite">${sameSite}</span>
+              <span title="SameSite: ${escapeHtml(sameSite)}" class="samesite">${escapeHtml(sameSite)}</span>
+              ${renderCategoryBadge(cookie)}
+              ${renderScopeBadge(cookie)}
             </span>
           </div>
-          <div class="cookie-value">${escapeHtml(cookie.value || '(empty)')}</div>
+          ${renderCookieValue(cookie, index)}
           <div class="cookie-details">
             <small>
               Domain: ${escapeHtml(cookie.domain)} | 
               Path: ${escapeHtml(cookie.path)} |
-              ${cookie.expirationDate ? `Expires: ${new Date(cookie.expirationDate * 1000).toLocaleString()}` : 'Session cookie'}
+              ${partitionSite(cookie) ? `Partition: ${escapeHtml(partitionSite(cookie))} |` : ''}
+              ${cookie.expirationDate
+                ? `Expires: ${new Date(cookie.expirationDate * 1000).toLocaleString()} (${formatTimeUntil(cookie.expirationDate)})`
+                : 'Session cookie'} |
+              <span class="cookie-size ${cookieSize(cookie) > COOKIE_BYTE_LIMIT * 0.75 ? 'size-warning' : ''}"
+                title="Bytes of name + value, limit ${COOKIE_BYTE_LIMIT}">Size: ${formatBytes(cookieSize(cookie))}</span>
             </small>
+            ${cookie.scope && !cookie.scope.sent ? `
+              <ul class="scope-reasons">
+                ${cookie.scope.reasons.map(reason => `<li>${escapeHtml(reason)}</li>`).join('')}
+              </ul>
+            ` : ''}
+          </div>
+          <div class="cookie-actions">
+            <button class="link-btn" data-action="edit" data-index="${index}">Edit</button>
+            <button class="link-btn danger" data-action="delete" data-index="${index}">Delete</button>
+            <button class="link-btn" data-action="toggle-trace" data-index="${index}">
+              ${tracedViewKeys.has(cookieKey(cookie)) ? 'Hide requests' : 'Requests'}
+            </button>
+            <button class="link-btn ${watchedKeys.has(cookieKey(cookie)) ? 'active' : ''}" data-action="toggle-watch" data-index="${index}"
+              title="Notify when this cookie is changed or removed, and before it expires">
+              ${watchedKeys.has(cookieKey(cookie)) ? '👁 Watching' : '👁 Watch'}
+            </button>
+            <button class="link-btn ${protectedKeys.has(protectionKey(cookie)) ? 'active' : ''}" data-action="toggle-protect" data-index="${index}"
+              title="Restore this value and its attributes whenever the page, a server response or expiry changes or removes it">
+              ${protectedKeys.has(protectionKey(cookie)) ? '🔒 Protected' : '🔓 Protect'}
+            </button>
+            <select class="expiry-select" data-index="${index}" aria-label="Change expiry">
+              <option value="">Expiry…</option>
+              ${EXPIRY_ACTIONS.map(action => `<option value="${action.value}">${action.label}</option>`).join('')}
+            </select>
           </div>
+          ${tracedViewKeys.has(cookieKey(cookie)) ? `<div class="cookie-trace" data-index="${index}">Loading requests...</div>` : ''}
         </div>
       `;
     });
 
     console.log('Generated HTML length:', html.length);
     updateCookieList(html);
+    loadCookieTraces();
+  }
+
+  // Raw value, or the decoded views if the user toggled them on for this cookie
+  function renderCookieValue(cookie, index) {
+    const decoded = decodeCookieValue(cookie.name, cookie.value || '');
+    const showDecoded = decoded.length > 0 && decodedViewKeys.has(cookieKey(cookie));
+    const toggle = decoded.length === 0 ? '' : `
+      <button class="link-btn value-toggle" data-action="toggle-decoded" data-index="${index}">
+        ${showDecoded ? 'Raw' : 'Decoded (' + escapeHtml(decoded.map(d => d.label).join(', ')) + ')'}
+      </button>
+    `;
+
+    if (!showDecoded) {
+      return `<div class="cookie-value">${escapeHtml(cookie.value || '(empty)')}</div>${toggle}`;
+    }
+
+    return decoded.map(view => `
+      <div class="cookie-decoded">
+        <div class="decoded-label">${escapeHtml(view.label)}</div>
+        ${view.warnings.map(warning => `<div class="decoded-warning">⚠️ ${escapeHtml(warning)}</div>`).join('')}
+        <pre class="cookie-value">${escapeHtml(view.content)}</pre>
+      </div>
+    `).join('') + toggle;
+  }
+
+  function cookieKey(cookie) {
+    return cookie.name + '|' + cookie.domain + '|' + cookie.path + '|' + partitionSite(cookie);
+  }
+
+  // Top-level site of a partitioned (CHIPS) cookie, '' for ordinary cookies
+  function partitionSite(cookie) {
+    return cookie.partitionKey && cookie.partitionKey.topLevelSite ? cookie.partitionKey.topLevelSite : '';
+  }
+
+  // Unpartitioned cookies first, then one block per partition - sort order is kept inside each block
+  function groupByPartition(cookies) {
+    const groups = new Map();
+    cookies.forEach(cookie => {
+      const site = partitionSite(cookie);
+      if (!groups.has(site)) {
+        groups.set(site, []);
+      }
+      groups.get(site).push(cookie);
+    });
+
+    const sites = Array.from(groups.keys()).sort();
+    return sites.flatMap(site => groups.get(site));
+  }
+
+  // Try every decoder that recognises the value - several can apply (e.g. URL-encoded JSON)
+  function decodeCookieValue(name, value) {
+    const views = [];
+    if (!value) return views;
+
+    const jwt = decodeJwt(value);
+    if (jwt) {
+      views.push(jwt);
+      return views;
+    }
+
+    const signed = decodeSignedCookie(value);
+    if (signed) {
+      views.push(signed);
+    }
+
+    const analytics = decodeAnalyticsCookie(name, value);
+    if (analytics) {
+      views.push(analytics);
+    }
+
+    let text = value;
+    if (/%[0-9A-Fa-f]{2}/.test(value)) {
+      try {
+        text = decodeURIComponent(value.replace(/\+/g, ' '));
+        views.push({ label: 'URL-decoded', content: text, warnings: [] });
+      } catch (error) {
+        // Not valid percent-encoding, carry on with the raw value
+      }
+    }
+
+    const json = tryParseJson(text);
+    if (json !== undefined) {
+      views.push({ label: 'JSON', content: JSON.stringify(json, null, 2), warnings: [] });
+      return views;
+    }
+
+    if (!signed && !analytics) {
+      const base64 = decodeBase64(text);
+      if (base64 !== null) {
+        const nested = tryParseJson(base64);
+        views.push({
+          label: nested !== undefined ? 'Base64 JSON' : 'Base64',
+          content: nested !== undefined ? JSON.stringify(nested, null, 2) : base64,
+          warnings: []
+        });
+      }
+    }
+
+    return views;
+  }
+
+  function tryParseJson(text) {
+    const trimmed = text.trim();
+    if (!/^[[{]/.test(trimmed)) return undefined;
+    try {
+      return JSON.parse(trimmed);
+    } catch (error) {
+      return undefined;
+    }
+  }
+
+  // Guess whether an arbitrary value is base64 before decoding it
+  function decodeBase64(text) {
+    const candidate = text.trim();
+    if (candidate.length < 8) return null;
+    // Hex ids and short plain words also fit the alphabet
+    if (/^[0-9a-f]+$/i.test(candidate) || (/^[a-z]+$/i.test(candidate) && candidate.length < 16)) return null;
+    return base64ToText(candidate);
+  }
+
+  // Decode standard or url-safe base64, only accepting results that look like readable UTF-8 text
+  function base64ToText(candidate) {
+    if (!/^[A-Za-z0-9+/_-]+={0,2}$/.test(candidate)) return null;
+
+    try {
+      const normalized = candidate.replace(/-/g, '+').replace(/_/g, '/');
+      const padded = normalized + '='.repeat((4 - normalized.length % 4) % 4);
+      const bytes = Uint8Array.from(atob(padded), c => c.charCodeAt(0));
+      const decoded = new TextDecoder('utf-8', { fatal: true }).decode(bytes);
+      return /^[\x20-\x7e\s\u00a0-\uffff]*$/.test(decoded) && !/[\ufffd\x00-\x08]/.test(decoded) ? decoded : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  // header.payload.signature with base64url JSON in the first two parts
+  function decodeJwt(value) {
+    const parts = value.split('.');
+    if (parts.length !== 3 || !/^eyJ/.test(parts[0])) return null;
+
+    const header = tryParseJson(base64ToText(parts[0]) || '');
+    const payload = tryParseJson(base64ToText(parts[1]) || '');
+    if (!header || !payload) return null;
+
+    const warnings = [];
+    const dates = {};
+    ['exp', 'iat', 'nbf'].forEach(claim => {
+      if (typeof payload[claim] === 'number') {
+        dates[claim] = new Date(payload[claim] * 1000).toLocaleString();
+      }
+    });
+
+    const now = Date.now() / 1000;
+    if (typeof payload.exp === 'number') {
+      if (payload.exp < now) {
+        warnings.push(`Token expired ${dates.exp}`);
+      } else if (payload.exp - now < 300) {
+        warnings.push(`Token expires in less than 5 minutes (${dates.exp})`);
+      }
+    }
+    if (typeof payload.nbf === 'number' && payload.nbf > now) {
+      warnings.push(`Token not valid before ${dates.nbf}`);
+    }
+    if (header.alg === 'none') {
+      warnings.push('Unsigned token (alg: none)');
+    }
+
+    return {
+      label: 'JWT',
+      content: JSON.stringify({ header: header, payload: payload, dates: dates }, null, 2),
+      warnings: warnings
+    };
+  }
+
+  // Express (s:value.signature) and Rails (data--digest) signed cookies
+  function decodeSignedCookie(value) {
+    let raw = value;
+    try {
+      raw = decodeURIComponent(value);
+    } catch (error) {
+      // Keep the raw value
+    }
+
+    const express = raw.match(/^s:(.*)\.([A-Za-z0-9+/]{27,}={0,2})$/);
+    if (express) {
+      return {
+        label: 'Express signed',
+        content: `Value: ${express[1]}\nSignature: ${express[2]}`,
+        warnings: []
+      };
+    }
+
+    const rails = raw.match(/^([A-Za-z0-9+/=]+)--([A-Za-z0-9+/=]+)(?:--([A-Za-z0-9+/=]+))?$/);
+    if (rails) {
+      // Three parts is the encrypted (AES-GCM) format - payload can't be read without the secret
+      if (rails[3]) {
+        return {
+          label: 'Rails encrypted',
+          content: `Ciphertext: ${rails[1]}\nIV: ${rails[2]}\nAuth tag: ${rails[3]}`,
+          warnings: []
+        };
+      }
+      const payload = base64ToText(rails[1]);
+      const json = payload !== null ? tryParseJson(payload) : undefined;
+      return {
+        label: 'Rails signed',
+        content: `Payload: ${json !== undefined ? JSON.stringify(json, null, 2) : (payload || rails[1])}\nDigest: ${rails[2]}`,
+        warnings: []
+      };
+    }
+
+    return null;
+  }
+
+  // Google Analytics client and session cookies
+  function decodeAnalyticsCookie(name, value) {
+    const ga = value.match(/^GA\d\.(\d+)\.(\d+)\.(\d+)$/);
+    if ((name === '_ga' || name === '_gid') && ga) {
+      return {
+        label: 'Google Analytics',
+        content: [
+          `Client ID: ${ga[2]}.${ga[3]}`,
+          `Domain depth: ${ga[1]}`,
+          `First seen: ${new Date(Number(ga[3]) * 1000).toLocaleString()}`
+        ].join('\n'),
+        warnings: []
+      };
+    }
+
+    const session = value.match(/^GS\d\.\d\.(\d+)\.(\d+)/);
+    if (name.startsWith('_ga_') && session) {
+      return {
+        label: 'GA4 session',
+        content: [
+          `Measurement ID: G-${name.slice(4)}`,
+          `Session start: ${new Date(Number(session[1]) * 1000).toLocaleString()}`,
+          `Session number: ${session[2]}`
+        ].join('\n'),
+        warnings: []
+      };
+    }
+
+    return null;
+  }
+
+  // Bytes the cookie takes up in a Cookie header (name=value)
+  function cookieSize(cookie) {
+    return new TextEncoder().encode(cookie.name + '=' + cookie.value).length;
+  }
+
+  function formatBytes(bytes) {
+    return bytes < 1024 ? `${bytes} B` : `${(bytes / 1024).toFixed(1)} KB`;
+  }
+
+  // Cookie header size for the current URL, per-domain counts and oversized cookies, with warnings
+  function analyzeCookieSizes(cookies, href) {
+    const url = new URL(href);
+    const sent = cookies.filter(cookie => cookie.scope && cookie.scope.sent);
+    // "Cookie: " + "a=1; b=2"
+    const headerBytes = sent.length === 0 ? 0 :
+      'Cookie: '.length + sent.reduce((sum, cookie) => sum + cookieSize(cookie), 0) + 2 * (sent.length - 1);
+
+    const byDomain = new Map();
+    cookies.forEach(cookie => {
+      const domain = cookie.domain.replace(/^\./, '');
+      const entry = byDomain.get(domain) || { domain: domain, count: 0, bytes: 0 };
+      entry.count++;
+      entry.bytes += cookieSize(cookie);
+      byDomain.set(domain, entry);
+    });
+
+    const warnings = [];
+    HEADER_BUDGETS.forEach(budget => {
+      if (headerBytes >= budget.bytes) {
+        warnings.push({ level: 'error', text: `Cookie header is ${formatBytes(headerBytes)} - likely ${budget.effect}` });
+      } else if (headerBytes >= budget.bytes * 0.75) {
+        warnings.push({ level: 'warning', text: `Cookie header is ${formatBytes(headerBytes)}, ${Math.round(headerBytes / budget.bytes * 100)}% of the limit behind ${budget.effect}` });
+      }
+    });
+
+    byDomain.forEach(entry => {
+      if (entry.count >= COOKIES_PER_DOMAIN_LIMIT) {
+        warnings.push({ level: 'error', text: `${entry.domain} holds ${entry.count} cookies - the browser evicts the oldest beyond ${COOKIES_PER_DOMAIN_LIMIT}` });
+      } else if (entry.count >= COOKIES_PER_DOMAIN_LIMIT * 0.8) {
+        warnings.push({ level: 'warning', text: `${entry.domain} holds ${entry.count} of ${COOKIES_PER_DOMAIN_LIMIT} cookies allowed per domain` });
+      }
+    });
+
+    cookies.forEach(cookie => {
+      const size = cookieSize(cookie);
+      if (size > COOKIE_BYTE_LIMIT) {
+        warnings.push({ level: 'error', text: `"${cookie.name}" is ${formatBytes(size)} - over the ${COOKIE_BYTE_LIMIT} byte per-cookie limit, browsers will drop updates to it` });
+      } else if (size > COOKIE_BYTE_LIMIT * 0.75) {
+        warnings.push({ level: 'warning', text: `"${cookie.name}" is ${formatBytes(size)}, close to the ${COOKIE_BYTE_LIMIT} byte per-cookie limit` });
+      }
+    });
+
+    return {
+      path: url.pathname,
+      headerBytes: headerBytes,
+      headerCookieCount: sent.length,
+      domains: Array.from(byDomain.values()).sort((a, b) => b.bytes - a.bytes),
+      warnings: warnings
+    };
+  }
+
+  function renderSizeAnalysis(analysis) {
+    const budget = HEADER_BUDGETS[0].bytes;
+    const percent = Math.min(100, Math.round(analysis.headerBytes / budget * 100));
+    const level = analysis.warnings.some(w => w.level === 'error') ? 'error'
+      : (analysis.warnings.length > 0 ? 'warning' : 'ok');
+
+    return `
+      <details class="size-analysis size-${level}" ${level === 'ok' ? '' : 'open'}>
+        <summary>
+          Cookie header for ${escapeHtml(analysis.path)}: ${formatBytes(analysis.headerBytes)}
+          (${analysis.headerCookieCount} cookies)${analysis.warnings.length ? ` · ${analysis.warnings.length} size warnings` : ''}
+        </summary>
+        <div class="size-meter" title="${percent}% of ${formatBytes(budget)}">
+          <div class="size-meter-fill" style="width: ${percent}%"></div>
+        </div>
+        <div class="size-domains">
+          ${analysis.domains.map(entry => `
+            <div>${escapeHtml(entry.domain)}: ${entry.count} / ${COOKIES_PER_DOMAIN_LIMIT} cookies, ${formatBytes(entry.bytes)}</div>
+          `).join('')}
+        </div>
+        ${analysis.warnings.map(warning => `
+          <div class="size-warning-item ${warning.level}">${warning.level === 'error' ? '⛔' : '⚠️'} ${escapeHtml(warning.text)}</div>
+        `).join('')}
+      </details>
+    `;
+  }
+
+  // Read the toolbar controls and return the cookies that should be shown, in order
+  function filterAndSortCookies(cookies) {
+    const toolbar = getElement('cookie-toolbar');
+    if (!toolbar) return cookies;
+
+    const search = toolbar.querySelector('#cookie-search').value;
+    const useRegex = toolbar.querySelector('#cookie-search-regex').checked;
+    const checked = name => toolbar.querySelector(`input[name="${name}"]`).checked;
+    const sameSite = toolbar.querySelector('#filter-samesite').value;
+    const category = toolbar.querySelector('#filter-category').value;
+    const scopeView = toolbar.querySelector('#scope-view').value;
+    const expiringHours = parseFloat(toolbar.querySelector('#filter-expiring').value);
+
+    // A half-typed regex shouldn't blank the list - flag it and skip the search
+    let matcher = null;
+    const searchInput = toolbar.querySelector('#cookie-search');
+    searchInput.classList.remove('invalid');
+    if (search) {
+      if (useRegex) {
+        try {
+          const regex = new RegExp(search, 'i');
+          matcher = text => regex.test(text);
+        } catch (error) {
+          searchInput.classList.add('invalid');
+        }
+      } else {
+        const needle = search.toLowerCase();
+        matcher = text => text.toLowerCase().includes(needle);
+      }
+    }
+
+    const now = Date.now() / 1000;
+    const filtered = cookies.filter(cookie => {
+      if (matcher && ![cookie.name, cookie.value, cookie.domain].some(text => matcher(text || ''))) return false;
+      if (checked('secure') && !cookie.secure) return false;
+      if (checked('httpOnly') && !cookie.httpOnly) return false;
+      if (checked('session') && cookie.expirationDate) return false;
+      if (checked('persistent') && !cookie.expirationDate) return false;
+      if (checked('parentDomain') && cookie.domain.replace(/^\./, '') === currentDomain) return false;
+      if (checked('partitioned') && !partitionSite(cookie)) return false;
+      if (sameSite && (cookie.sameSite || 'unspecified') !== sameSite) return false;
+      if (category && (!cookie.classification || cookie.classification.category !== category)) return false;
+      if (scopeView && cookie.scope && cookie.scope.sent !== (scopeView === 'sent')) return false;
+      if (!isNaN(expiringHours) && (!cookie.expirationDate || cookie.expirationDate > now + expiringHours * 3600)) return false;
+      return true;
+    });
+
+    const sortKeys = {
+      name: cookie => cookie.name.toLowerCase(),
+      domain: cookie => cookie.domain.replace(/^\./, '').toLowerCase(),
+      size: cookie => cookieSize(cookie),
+      // Session cookies sort after every persistent one
+      expiry: cookie => cookie.expirationDate || Infinity
+    };
+    const keyOf = sortKeys[cookieSort.key];
+    if (keyOf) {
+      const direction = cookieSort.ascending ? 1 : -1;
+      filtered.sort((a, b) => {
+        const ka = keyOf(a);
+        const kb = keyOf(b);
+        return (ka < kb ? -1 : ka > kb ? 1 : 0) * direction;
+      });
+    }
+
+    return filtered;
+  }
+
+  // Clicking the active sort column flips direction, clicking another one switches to it
+  function handleSortClick(event) {
+    const button = event.target.closest('button[data-sort]');
+    if (!button) return;
+
+    if (cookieSort.key === button.dataset.sort) {
+      cookieSort.ascending = !cookieSort.ascending;
+    } else {
+      cookieSort = { key: button.dataset.sort, ascending: true };
+    }
+
+    queryOverlayAll('#cookie-toolbar button[data-sort]').forEach(btn => {
+      const active = btn.dataset.sort === cookieSort.key;
+      btn.classList.toggle('active', active);
+      btn.dataset.direction = active ? (cookieSort.ascending ? '▲' : '▼') : '';
+    });
+    renderCookieList();
   }
 
   // Secure message passing to background script
@@ -395,10 +3109,10 @@
 
   // Handle extension reload/invalidation
   function handleExtensionReload() {
-    const overlay = document.getElementById('cookie-extension-overlay');
+    const overlay = getElement('cookie-extension-overlay');
     if (overlay) {
       // Show a user-friendly message
-      const listElement = document.getElementById('cookie-list');
+      const listElement = getElement('cookie-list');
       if (listElement) {
         listElement.innerHTML = `
           <div class="status-message" style="color: #e53e3e; text-align: center;">
@@ -472,15 +3186,47 @@
 
         case 'COOKIES_CLEARED':
           console.log('Handling COOKIES_CLEARED');
-          updateCookieList('All cookies cleared for this domain.');
+          updateCookieList(`Cleared ${message.removed} cookies (${CLEAR_SCOPES[message.scope].toLowerCase()})` +
+            (message.protected ? `, kept ${message.protected} protected.` : '.'));
+          showUndoToast(`Cleared ${message.removed} cookies`, message.trashBatchId);
           // The real-time listener will automatically update with the new state
           break;
 
         case 'REAL_TIME_COOKIE_UPDATE':
           console.log('Handling REAL_TIME_COOKIE_UPDATE');
           // Only update if overlay is visible, for current domain, AND user has actively requested cookies
+          if (overlayVisible && message.domain === currentDomain && isTabActive('history')) {
+            loadHistory();
+          }
+          if (overlayVisible && message.domain === currentDomain && isTabActive('consent')) {
+            loadConsentReport();
+          }
+          if (overlayVisible && message.domain === currentDomain && isTabActive('protected')) {
+            loadProtectedCookies();
+          }
           if (overlayVisible && message.domain === currentDomain && cookiesActivelyRequested) {
-            displayCookies(message.cookies);
+            // Don't wipe out a half-filled editor - apply the update once it closes
+            if (isCookieEditorOpen()) {
+              deferredCookieUpdate = message.cookies;
+            } else {
+              displayCookies(message.cookies);
+            }
+          }
+          break;
+
+        case 'RUN_COMMAND':
+          console.log('Handling RUN_COMMAND', message.command);
+          if (message.command === 'toggle-overlay') {
+            window.dispatchEvent(new CustomEvent('toggle-extension-overlay'));
+          } else if (message.command === 'show-cookies') {
+            runShowCookiesCommand();
+          } else if (message.command === 'show-link-cookies') {
+            showLinkCookies(message.url, message.sameSiteContext, message.cookies);
+          } else if (message.command === 'copy-cookie-header') {
+            copyToClipboard(message.text)
+              .then(() => sendResponse({ copied: true }))
+              .catch(error => sendResponse({ copied: false, error: error.message }));
+            return true; // Answer once the clipboard write settles
           }
           break;
 
@@ -502,14 +3248,24 @@
 
   // Toggle overlay when extension icon is clicked
   window.addEventListener('toggle-extension-overlay', () => {
-    const overlay = document.getElementById('cookie-extension-overlay');
-    if (overlay) {
+    if (overlayHost) {
       hideOverlay();
     } else {
       createOverlay();
     }
   });
 
+  // A consent recording reloads the page - reopen the overlay on the Consent tab so the markers are at hand.
+  // The check only says whether this tab and host are being recorded; the report itself is fetched by the tab.
+  sendSecureMessage({ type: 'CHECK_CONSENT_RECORDING', domain: location.hostname }).then(response => {
+    if (response && response.recording && !overlayHost) {
+      createOverlay();
+      switchTab('consent');
+    }
+  }).catch(() => {
+    // Background not reachable (e.g. extension reloading) - nothing to resume
+  });
+
   // Clean up when page is unloaded
   window.addEventListener('beforeunload', () => {
     hideOverlay();
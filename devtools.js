@@ -0,0 +1,2 @@
+// DevTools page - only job is to register the Cookies+ panel
+chrome.devtools.panels.create('Cookies+', 'icon.png', 'panel.html');
@@ -0,0 +1,374 @@
+// DevTools Panel - Cookies+ table for the inspected tab
+(function() {
+  'use strict';
+
+  const tabId = chrome.devtools.inspectedWindow.tabId;
+
+  let inspectedUrl = null;
+  let inspectedDomain = null;
+  let cookies = []; // Last cookie list from the background script
+  let selectedKey = null; // Cookie shown in the details pane
+  let sort = { key: 'name', ascending: true };
+  let refreshTimer = null;
+
+  // Important: Always escape HTML to prevent XSS attacks
+  function escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text;
+    return div.innerHTML.replace(/"/g, '&quot;').replace(/'/g, '&#39;');
+  }
+
+  function cookieKey(cookie) {
+    const partition = cookie.partitionKey && cookie.partitionKey.topLevelSite ? cookie.partitionKey.topLevelSite : '';
+    return cookie.name + '|' + cookie.domain + '|' + cookie.path + '|' + partition;
+  }
+
+  function cookieSize(cookie) {
+    return new TextEncoder().encode(cookie.name + '=' + cookie.value).length;
+  }
+
+  function showStatus(text) {
+    const status = document.getElementById('panel-status');
+    status.textContent = text || '';
+    status.hidden = !text;
+  }
+
+  // Unlike the overlay, the panel outlives page navigations, so it asks the background
+  // script which URL the inspected tab is on every time
+  function loadTabInfo() {
+    chrome.runtime.sendMessage({ type: 'GET_TAB_INFO', tabId: tabId }).then(response => {
+      if (!response || response.type !== 'TAB_INFO') {
+        showStatus(response && response.message ? response.message : 'Could not read the inspected tab.');
+        return;
+      }
+
+      inspectedUrl = response.url;
+      inspectedDomain = response.domain;
+      document.getElementById('inspected-url').textContent = inspectedUrl || '(no URL)';
+
+      if (!response.hasPermission) {
+        showStatus('Cookie permission not granted. Open the Cookie Viewer overlay on the page and click "Grant Cookie Access".');
+        cookies = [];
+        renderTable();
+        return;
+      }
+
+      showStatus('');
+      fetchCookies();
+    }).catch(error => {
+      console.error('Failed to load tab info:', error);
+      showStatus('Communication error with extension background script.');
+    });
+  }
+
+  function fetchCookies() {
+    if (!inspectedUrl || !/^https?:/.test(inspectedUrl)) {
+      cookies = [];
+      renderTable();
+      showStatus('Cookies are only available for http(s) pages.');
+      return;
+    }
+
+    chrome.runtime.sendMessage({
+      type: 'FETCH_COOKIES',
+      domain: inspectedDomain,
+      url: inspectedUrl
+    }).then(response => {
+      if (response && response.type === 'COOKIES_DATA') {
+        cookies = response.cookies;
+        renderTable();
+        // Leave the details form alone while the user is typing in it
+        if (!document.getElementById('details-pane').contains(document.activeElement)) {
+          renderDetails();
+        }
+      } else if (response && response.type === 'ERROR') {
+        showStatus(`Error: ${response.message}`);
+      }
+    }).catch(error => {
+      console.error('Failed to fetch cookies:', error);
+      showStatus('Failed to fetch cookies.');
+    });
+  }
+
+  // Cookie changes arrive in bursts (login flows set a dozen at once) - refetch once
+  function scheduleRefresh() {
+    clearTimeout(refreshTimer);
+    refreshTimer = setTimeout(fetchCookies, 200);
+  }
+
+  function visibleCookies() {
+    const search = document.getElementById('panel-search').value.toLowerCase();
+    const sortKeys = {
+      name: cookie => cookie.name.toLowerCase(),
+      value: cookie => cookie.value,
+      domain: cookie => cookie.domain.replace(/^\./, ''),
+      path: cookie => cookie.path,
+      expiry: cookie => cookie.expirationDate || Infinity,
+      size: cookie => cookieSize(cookie),
+      sameSite: cookie => cookie.sameSite || ''
+    };
+    const keyOf = sortKeys[sort.key];
+    const direction = sort.ascending ? 1 : -1;
+
+    return cookies
+      .filter(cookie => !search || [cookie.name, cookie.value, cookie.domain]
+        .some(text => text.toLowerCase().includes(search)))
+      .sort((a, b) => {
+        const ka = keyOf(a);
+        const kb = keyOf(b);
+        return (ka < kb ? -1 : ka > kb ? 1 : 0) * direction;
+      });
+  }
+
+  function renderTable() {
+    const tbody = document.querySelector('#cookie-table tbody');
+    const rows = visibleCookies();
+
+    document.querySelectorAll('#cookie-table th[data-sort]').forEach(th => {
+      th.dataset.direction = th.dataset.sort === sort.key ? (sort.ascending ? '▲' : '▼') : '';
+    });
+
+    if (rows.length === 0) {
+      tbody.innerHTML = `<tr><td colspan="10" class="empty-row">${cookies.length === 0 ? 'No cookies.' : 'No cookies match the filter.'}</td></tr>`;
+      return;
+    }
+
+    tbody.innerHTML = rows.map(cookie => `
+      <tr data-key="${escapeHtml(cookieKey(cookie))}" class="${cookieKey(cookie) === selectedKey ? 'selected' : ''} ${cookie.scope && !cookie.scope.sent ? 'not-sent' : ''}"
+        title="${cookie.scope && !cookie.scope.sent ? escapeHtml('Not sent to this page: ' + cookie.scope.reasons.join('; ')) : ''}">
+        <td>${escapeHtml(cookie.name)}</td>
+        <td class="value-cell">${escapeHtml(cookie.value)}</td>
+        <td>${escapeHtml(cookie.domain)}</td>
+        <td>${escapeHtml(cookie.path)}</td>
+        <td>${cookie.expirationDate ? new Date(cookie.expirationDate * 1000).toLocaleString() : 'Session'}</td>
+        <td>${cookieSize(cookie)}</td>
+        <td>${cookie.httpOnly ? '✓' : ''}</td>
+        <td>${cookie.secure ? '✓' : ''}</td>
+        <td>${escapeHtml(cookie.sameSite || '')}</td>
+        <td>${cookie.partitionKey && cookie.partitionKey.topLevelSite ? escapeHtml(cookie.partitionKey.topLevelSite) : ''}</td>
+      </tr>
+    `).join('');
+  }
+
+  // datetime-local inputs want local time without seconds or timezone
+  function toDateTimeLocal(seconds) {
+    const date = new Date(seconds * 1000);
+    const offset = date.getTimezoneOffset() * 60000;
+    return new Date(date.getTime() - offset).toISOString().slice(0, 16);
+  }
+
+  // Details pane doubles as the editor; passing a blank cookie turns it into the create form
+  function renderDetails(newCookie) {
+    const pane = document.getElementById('details-pane');
+    const cookie = newCookie || cookies.find(c => cookieKey(c) === selectedKey);
+
+    if (!cookie) {
+      pane.innerHTML = '<div class="details-empty">Select a cookie to see its details.</div>';
+      return;
+    }
+
+    const sameSite = cookie.sameSite || 'unspecified';
+    const partition = cookie.partitionKey && cookie.partitionKey.topLevelSite ? cookie.partitionKey.topLevelSite : '';
+
+    pane.innerHTML = `
+      <form id="details-form">
+        <h3>${newCookie ? 'New cookie' : escapeHtml(cookie.name)}</h3>
+        <label>Name <input name="name" value="${escapeHtml(cookie.name)}"></label>
+        <label>Value <textarea name="value" rows="6">${escapeHtml(cookie.value)}</textarea></label>
+        <label>Domain <input name="domain" value="${escapeHtml(cookie.domain.replace(/^\./, ''))}"></label>
+        <label>Path <input name="path" value="${escapeHtml(cookie.path)}"></label>
+        <label>Partition <input name="partitionSite" placeholder="unpartitioned" value="${escapeHtml(partition)}"></label>
+        <label>Expires <input name="expirationDate" type="datetime-local" value="${cookie.expirationDate ? toDateTimeLocal(cookie.expirationDate) : ''}"></label>
+        <label>SameSite
+          <select name="sameSite">
+            ${['unspecified', 'no_restriction', 'lax', 'strict'].map(option =>
+              `<option value="${option}" ${option === sameSite ? 'selected' : ''}>${option}</option>`).join('')}
+          </select>
+        </label>
+        <div class="flags">
+          <label><input name="hostOnly" type="checkbox" ${cookie.hostOnly ? 'checked' : ''}> Host only</label>
+          <label><input name="secure" type="checkbox" ${cookie.secure ? 'checked' : ''}> Secure</label>
+          <label><input name="httpOnly" type="checkbox" ${cookie.httpOnly ? 'checked' : ''}> HttpOnly</label>
+        </div>
+        ${newCookie ? '' : `<div class="meta">Store ${escapeHtml(cookie.storeId || '')} · ${cookieSize(cookie)} bytes · ${cookie.session ? 'session' : 'persistent'}</div>`}
+        <div id="details-errors" class="errors"></div>
+        <div class="actions">
+          <button type="submit">${newCookie ? 'Create' : 'Save'}</button>
+          ${newCookie ? '' : '<button type="button" id="delete-cookie-btn" class="danger">Delete</button>'}
+        </div>
+      </form>
+    `;
+
+    pane.querySelector('#details-form').addEventListener('submit', event => {
+      event.preventDefault();
+      saveCookie(event.target, newCookie ? null : cookie);
+    });
+    pane.querySelector('#delete-cookie-btn')?.addEventListener('click', () => deleteCookie(cookie));
+  }
+
+  function showErrors(errors) {
+    const container = document.getElementById('details-errors');
+    if (container) {
+      container.innerHTML = errors.map(error => `<div>${escapeHtml(error)}</div>`).join('');
+    }
+  }
+
+  function saveCookie(form, original) {
+    const expiry = form.elements.expirationDate.value;
+    const partition = form.elements.partitionSite.value.trim();
+    const cookie = {
+      name: form.elements.name.value.trim(),
+      value: form.elements.value.value,
+      domain: form.elements.domain.value.trim(),
+      path: form.elements.path.value.trim() || '/',
+      expirationDate: expiry ? Math.floor(new Date(expiry).getTime() / 1000) : null,
+      sameSite: form.elements.sameSite.value,
+      hostOnly: form.elements.hostOnly.checked,
+      secure: form.elements.secure.checked,
+      httpOnly: form.elements.httpOnly.checked,
+      storeId: original ? original.storeId : undefined,
+      partitionKey: partition ? { topLevelSite: partition } : undefined
+    };
+
+    chrome.runtime.sendMessage({
+      type: 'SET_COOKIE',
+      cookie: cookie,
+      original: original,
+      url: inspectedUrl
+    }).then(response => {
+      if (response && response.type === 'COOKIE_SAVED') {
+        selectedKey = cookieKey(response.cookie);
+        fetchCookies();
+      } else if (response && response.type === 'COOKIE_VALIDATION_ERROR') {
+        showErrors(response.errors);
+      } else if (response && response.type === 'ERROR') {
+        showErrors([response.message]);
+      }
+    }).catch(error => {
+      console.error('Failed to save cookie:', error);
+      showErrors(['Failed to save cookie.']);
+    });
+  }
+
+  function deleteCookie(cookie) {
+    if (!confirm(`Delete cookie "${cookie.name}"?`)) {
+      return;
+    }
+
+    chrome.runtime.sendMessage({ type: 'DELETE_COOKIE', cookie: cookie }).then(response => {
+      if (response && response.type === 'COOKIE_DELETED') {
+        selectedKey = null;
+        fetchCookies();
+      } else if (response && response.type === 'ERROR') {
+        showErrors([response.message]);
+      }
+    }).catch(error => {
+      console.error('Failed to delete cookie:', error);
+      showErrors(['Failed to delete cookie.']);
+    });
+  }
+
+  function clearAllCookies() {
+    if (!inspectedDomain || !confirm(`Are you sure you want to clear all cookies for ${inspectedDomain}?`)) {
+      return;
+    }
+
+    chrome.runtime.sendMessage({
+      type: 'CLEAR_DOMAIN_COOKIES',
+      domain: inspectedDomain,
+      url: inspectedUrl
+    }).then(response => {
+      if (response && response.type === 'ERROR') {
+        showStatus(`Error: ${response.message}`);
+      }
+      selectedKey = null;
+      fetchCookies();
+    }).catch(error => {
+      console.error('Failed to clear cookies:', error);
+      showStatus('Failed to clear cookies.');
+    });
+  }
+
+  function exportCookies() {
+    chrome.runtime.sendMessage({
+      type: 'EXPORT_COOKIES',
+      format: document.getElementById('export-format').value,
+      domain: inspectedDomain,
+      url: inspectedUrl
+    }).then(response => {
+      if (response && response.type === 'COOKIES_EXPORTED') {
+        const url = URL.createObjectURL(new Blob([response.content], { type: response.mimeType }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = response.filename;
+        link.click();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+      } else if (response && response.type === 'ERROR') {
+        showStatus(`Error: ${response.message}`);
+      }
+    }).catch(error => {
+      console.error('Failed to export cookies:', error);
+      showStatus('Failed to export cookies.');
+    });
+  }
+
+  // The service worker can be stopped at any time, which drops the port - reconnect when it does
+  function connectToBackground() {
+    const port = chrome.runtime.connect({ name: 'devtools-panel' });
+    port.postMessage({ type: 'INSPECT_TAB', tabId: tabId });
+    port.onMessage.addListener(message => {
+      if (message.type === 'COOKIES_CHANGED') {
+        scheduleRefresh();
+      }
+    });
+    port.onDisconnect.addListener(() => {
+      setTimeout(connectToBackground, 1000);
+    });
+  }
+
+  document.getElementById('refresh-btn').addEventListener('click', loadTabInfo);
+  document.getElementById('new-cookie-btn').addEventListener('click', () => {
+    selectedKey = null;
+    renderTable();
+    renderDetails({
+      name: '',
+      value: '',
+      domain: inspectedDomain || '',
+      hostOnly: true,
+      path: '/',
+      secure: (inspectedUrl || '').startsWith('https:'),
+      httpOnly: false,
+      sameSite: 'lax'
+    });
+  });
+  document.getElementById('export-btn').addEventListener('click', exportCookies);
+  document.getElementById('clear-all-btn').addEventListener('click', clearAllCookies);
+  document.getElementById('panel-search').addEventListener('input', renderTable);
+
+  document.querySelector('#cookie-table thead').addEventListener('click', event => {
+    const th = event.target.closest('th[data-sort]');
+    if (!th) return;
+    sort = sort.key === th.dataset.sort
+      ? { key: sort.key, ascending: !sort.ascending }
+      : { key: th.dataset.sort, ascending: true };
+    renderTable();
+  });
+
+  document.querySelector('#cookie-table tbody').addEventListener('click', event => {
+    const row = event.target.closest('tr[data-key]');
+    if (!row) return;
+    selectedKey = row.dataset.key;
+    renderTable();
+    renderDetails();
+  });
+
+  // Survive navigations: the overlay is torn down on unload, the panel just re-reads the tab
+  chrome.devtools.network.onNavigated.addListener(() => {
+    selectedKey = null;
+    loadTabInfo();
+  });
+
+  connectToBackground();
+  loadTabInfo();
+
+})();
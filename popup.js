@@ -1,10 +1,302 @@
-document.getElementById("toggleOverlay").addEventListener("click", async () => {
-  const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+// Popup - toggles the page overlay and shows a dashboard of every domain in the cookie jar
+(function() {
+  'use strict';
 
-  chrome.scripting.executeScript({
-    target: { tabId: tab.id },
-    function: () => {
-      window.dispatchEvent(new CustomEvent("toggle-extension-overlay"));
+  let domains = []; // Per-domain summaries from the background script
+  let sort = { key: 'count', ascending: false };
+  const selectedDomains = new Set();
+  let expandedDomain = null; // Domain whose cookies are listed under its row
+
+  // Important: Always escape HTML to prevent XSS attacks
+  function escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text;
+    return div.innerHTML.replace(/"/g, '&quot;').replace(/'/g, '&#39;');
+  }
+
+  function formatBytes(bytes) {
+    return bytes < 1024 ? `${bytes} B` : `${(bytes / 1024).toFixed(1)} KB`;
+  }
+
+  function formatExpiry(seconds) {
+    return seconds ? new Date(seconds * 1000).toLocaleDateString() : '—';
+  }
+
+  function showStatus(text) {
+    const status = document.getElementById('popup-status');
+    status.textContent = text || '';
+    status.hidden = !text;
+  }
+
+  document.getElementById('toggleOverlay').addEventListener('click', async () => {
+    const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+
+    chrome.scripting.executeScript({
+      target: { tabId: tab.id },
+      function: () => {
+        window.dispatchEvent(new CustomEvent('toggle-extension-overlay'));
+      }
+    });
+  });
+
+  // The request has to come from the popup itself - it needs the click as a user gesture
+  document.getElementById('grant-permission-btn').addEventListener('click', () => {
+    chrome.permissions.request({ permissions: ['cookies'] }, (granted) => {
+      if (granted) {
+        loadOverview();
+      } else {
+        showStatus('Cookie permission was denied.');
+      }
+    });
+  });
+
+  // Same for webRequest, which the overlay's "Trace Requests" needs but can't ask for itself
+  document.getElementById('grant-trace-btn').addEventListener('click', () => {
+    chrome.permissions.request({ permissions: ['webRequest'] }, (granted) => {
+      document.getElementById('grant-trace-btn').hidden = granted;
+      showStatus(granted
+        ? 'Request tracing allowed. Use "Trace Requests" in the overlay to start it.'
+        : 'Request tracing permission was denied.');
+    });
+  });
+
+  function checkTracePermission() {
+    chrome.permissions.contains({ permissions: ['webRequest'] }, (granted) => {
+      document.getElementById('grant-trace-btn').hidden = granted;
+    });
+  }
+
+  // Unseen watched-cookie alerts (the ones counted on the badge), then mark them seen
+  function loadWatchAlerts() {
+    chrome.runtime.sendMessage({ type: 'GET_WATCHED_COOKIES' }).then(response => {
+      if (!response || response.type !== 'WATCHED_COOKIES') return;
+
+      const unseen = response.alerts.filter(alert => !alert.seen);
+      const container = document.getElementById('watch-alerts');
+      container.hidden = unseen.length === 0;
+      container.innerHTML = `<strong>Watched cookie alerts</strong>` + unseen.slice(0, 5).map(alert => `
+        <div class="watch-alert watch-${escapeHtml(alert.event)}">
+          ${escapeHtml(alert.event)} · <code>${escapeHtml(alert.name)}</code> on ${escapeHtml(alert.domain)}
+          <span class="watch-alert-time">${new Date(alert.time).toLocaleTimeString()}</span>
+        </div>
+      `).join('') + (unseen.length > 5 ? `<div class="watch-alert-time">…and ${unseen.length - 5} more</div>` : '');
+
+      if (unseen.length > 0) {
+        chrome.runtime.sendMessage({ type: 'MARK_WATCH_ALERTS_SEEN' });
+      }
+    }).catch(error => {
+      console.error('Failed to load watch alerts:', error);
+    });
+  }
+
+  function checkPermission() {
+    chrome.runtime.sendMessage({ type: 'CHECK_PERMISSION' }).then(response => {
+      const granted = response && response.hasPermission;
+      document.getElementById('grant-permission-btn').hidden = granted;
+      if (granted) {
+        loadOverview();
+      } else {
+        showStatus('Grant cookie access to see an overview of every domain.');
+      }
+    }).catch(error => {
+      console.error('Permission check failed:', error);
+      showStatus('Communication error with extension background script.');
+    });
+  }
+
+  function loadOverview() {
+    chrome.runtime.sendMessage({ type: 'GET_COOKIE_OVERVIEW' }).then(response => {
+      if (!response || response.type !== 'COOKIE_OVERVIEW') {
+        showStatus(response && response.message ? response.message : 'Failed to load cookies.');
+        return;
+      }
+
+      domains = response.domains;
+      // Forget selections for domains that no longer have cookies
+      Array.from(selectedDomains).forEach(domain => {
+        if (!domains.some(entry => entry.domain === domain)) selectedDomains.delete(domain);
+      });
+
+      showStatus('');
+      document.getElementById('grant-permission-btn').hidden = true;
+      document.getElementById('dashboard').hidden = false;
+      renderOverview();
+    }).catch(error => {
+      console.error('Failed to load cookie overview:', error);
+      showStatus('Communication error with extension background script.');
+    });
+  }
+
+  function visibleDomains() {
+    const search = document.getElementById('domain-search').value.trim().toLowerCase();
+    const thirdPartyOnly = document.getElementById('third-party-only').checked;
+
+    return domains
+      .filter(entry => !search || entry.domain.includes(search))
+      .filter(entry => !thirdPartyOnly || entry.thirdParty)
+      .sort((a, b) => {
+        const x = a[sort.key];
+        const y = b[sort.key];
+        // Domains with only session cookies have no expiry - keep them last either way
+        if (x === null || y === null) return x === y ? 0 : (x === null ? 1 : -1);
+        const order = typeof x === 'string' ? x.localeCompare(y) : x - y;
+        return sort.ascending ? order : -order;
+      });
+  }
+
+  function renderOverview() {
+    const rows = visibleDomains();
+    const totalCookies = domains.reduce((sum, entry) => sum + entry.count, 0);
+    const totalBytes = domains.reduce((sum, entry) => sum + entry.bytes, 0);
+    const thirdPartyCount = domains.filter(entry => entry.thirdParty).length;
+
+    document.getElementById('dashboard-summary').textContent =
+      `${totalCookies} cookies across ${domains.length} domains (${formatBytes(totalBytes)}), ${thirdPartyCount} third-party`;
+
+    document.querySelectorAll('.domain-table th[data-sort]').forEach(th => {
+      th.classList.toggle('sorted-asc', th.dataset.sort === sort.key && sort.ascending);
+      th.classList.toggle('sorted-desc', th.dataset.sort === sort.key && !sort.ascending);
+    });
+
+    const tbody = document.getElementById('domain-rows');
+    if (rows.length === 0) {
+      tbody.innerHTML = '<tr><td colspan="6">No domains match.</td></tr>';
+    } else {
+      tbody.innerHTML = rows.map(entry => `
+        <tr class="domain-row ${entry.domain === expandedDomain ? 'expanded' : ''}" data-domain="${escapeHtml(entry.domain)}">
+          <td><input type="checkbox" class="domain-select" ${selectedDomains.has(entry.domain) ? 'checked' : ''}></td>
+          <td class="domain-name" title="${escapeHtml(entry.domain)}">
+            ${escapeHtml(entry.domain)}${entry.thirdParty ? '<span class="third-party-badge" title="Only sent in cross-site requests and no open tab is on this domain">3P</span>' : ''}
+          </td>
+          <td>${entry.count}${entry.sessionCount ? ` <span title="Session cookies">(${entry.sessionCount} session)</span>` : ''}</td>
+          <td>${formatBytes(entry.bytes)}</td>
+          <td>${formatExpiry(entry.oldestExpiry)}</td>
+          <td>${formatExpiry(entry.newestExpiry)}</td>
+        </tr>
+        ${entry.domain === expandedDomain ? '<tr class="domain-details"><td colspan="6" id="domain-details">Loading...</td></tr>' : ''}
+      `).join('');
+    }
+
+    const selectAll = document.getElementById('select-all-domains');
+    selectAll.checked = rows.length > 0 && rows.every(entry => selectedDomains.has(entry.domain));
+    document.getElementById('delete-selected-btn').disabled = selectedDomains.size === 0;
+    document.getElementById('delete-selected-btn').textContent =
+      selectedDomains.size ? `Delete selected (${selectedDomains.size})` : 'Delete selected';
+
+    if (expandedDomain && rows.some(entry => entry.domain === expandedDomain)) {
+      loadDomainCookies(expandedDomain);
+    }
+  }
+
+  // Drill-down: list the cookies stored under one domain
+  function loadDomainCookies(domain) {
+    chrome.runtime.sendMessage({ type: 'GET_DOMAIN_COOKIES', domain: domain }).then(response => {
+      const cell = document.getElementById('domain-details');
+      if (!cell || domain !== expandedDomain) return;
+
+      if (!response || response.type !== 'DOMAIN_COOKIES') {
+        cell.textContent = response && response.message ? response.message : 'Failed to load cookies.';
+        return;
+      }
+
+      cell.innerHTML = response.cookies.map((cookie, index) => `
+        <div class="domain-cookie">
+          <span class="domain-cookie-name" title="${escapeHtml(cookie.value)}">${escapeHtml(cookie.name)}</span>
+          <span class="domain-cookie-meta">${escapeHtml(cookie.path)}</span>
+          <span class="domain-cookie-meta">${cookie.session ? 'Session' : formatExpiry(cookie.expirationDate)}</span>
+          <span class="domain-cookie-meta">${[cookie.secure && 'Secure', cookie.httpOnly && 'HttpOnly'].filter(Boolean).join(' ')}</span>
+          <button class="danger" data-cookie-index="${index}" title="Delete cookie">✕</button>
+        </div>
+      `).join('') || 'No cookies left.';
+
+      cell.querySelectorAll('[data-cookie-index]').forEach(button => {
+        button.addEventListener('click', () => deleteCookie(response.cookies[button.dataset.cookieIndex]));
+      });
+    }).catch(error => {
+      console.error('Failed to load domain cookies:', error);
+    });
+  }
+
+  function deleteCookie(cookie) {
+    chrome.runtime.sendMessage({ type: 'DELETE_COOKIE', cookie: cookie }).then(response => {
+      if (!response || response.type !== 'COOKIE_DELETED') {
+        showStatus(response && response.message ? response.message : 'Failed to delete cookie.');
+      }
+      loadOverview();
+    }).catch(error => {
+      console.error('Delete cookie error:', error);
+    });
+  }
+
+  function deleteSelectedDomains() {
+    const selected = Array.from(selectedDomains);
+    const cookieCount = domains
+      .filter(entry => selectedDomains.has(entry.domain))
+      .reduce((sum, entry) => sum + entry.count, 0);
+
+    if (!confirm(`Delete ${cookieCount} cookies from ${selected.length} domains?`)) {
+      return;
     }
+
+    chrome.runtime.sendMessage({ type: 'DELETE_DOMAINS_COOKIES', domains: selected }).then(response => {
+      if (!response || response.type !== 'DOMAINS_COOKIES_DELETED') {
+        showStatus(response && response.message ? response.message : 'Failed to delete cookies.');
+        return;
+      }
+
+      selectedDomains.clear();
+      expandedDomain = null;
+      loadOverview();
+      showStatus(response.failed.length
+        ? `Deleted ${response.removed} cookies, ${response.failed.length} could not be removed.`
+        : `Deleted ${response.removed} cookies. They can be restored from the overlay's Trash tab.`);
+    }).catch(error => {
+      console.error('Bulk delete error:', error);
+      showStatus('Communication error with extension background script.');
+    });
+  }
+
+  document.getElementById('domain-rows').addEventListener('click', (event) => {
+    const row = event.target.closest('.domain-row');
+    if (!row) return;
+
+    const domain = row.dataset.domain;
+    if (event.target.classList.contains('domain-select')) {
+      if (event.target.checked) {
+        selectedDomains.add(domain);
+      } else {
+        selectedDomains.delete(domain);
+      }
+    } else {
+      expandedDomain = expandedDomain === domain ? null : domain;
+    }
+    renderOverview();
   });
-});
+
+  document.getElementById('select-all-domains').addEventListener('change', (event) => {
+    visibleDomains().forEach(entry => {
+      if (event.target.checked) {
+        selectedDomains.add(entry.domain);
+      } else {
+        selectedDomains.delete(entry.domain);
+      }
+    });
+    renderOverview();
+  });
+
+  document.querySelectorAll('.domain-table th[data-sort]').forEach(th => {
+    th.addEventListener('click', () => {
+      const key = th.dataset.sort;
+      sort = { key: key, ascending: sort.key === key ? !sort.ascending : key === 'domain' };
+      renderOverview();
+    });
+  });
+
+  document.getElementById('domain-search').addEventListener('input', renderOverview);
+  document.getElementById('third-party-only').addEventListener('change', renderOverview);
+  document.getElementById('delete-selected-btn').addEventListener('click', deleteSelectedDomains);
+
+  loadWatchAlerts();
+  checkPermission();
+  checkTracePermission();
+})();